@@ -0,0 +1,73 @@
+'use strict';
+
+const validation = require('./options-validation');
+
+const DEFAULT_WINDOW = 10000;
+const DEFAULT_MAX_KEYS = 10000;
+
+/**
+ * Validates the deduplicate option - everything but a key Function can be serialized, so the option can be sent to a child process
+ */
+const deduplicateRules = validation.object({
+  window: validation.number({ min: 0 }),
+  maxKeys: validation.number({ integer: true, min: 1 }),
+  key: validation.anyOf(
+    validation.arrayOf(validation.string({ nonEmpty: true })),
+    validation.func()
+  )
+});
+
+/**
+ *
+ * @param {*} options - window: Number, maxKeys: Number, key: Array|Function - see deduplicateRules
+ * @param {Array} defaultKey - the message properties that make up the key when options.key is not defined
+ * @param {String} timeProperty - the message property the window is measured with
+ * @returns {*} a deduplicator - isDuplicate(message) returns true if a message with the same key was passed within the window
+ *
+ * The keys are kept in a Map in the order they were last seen, so the key that was seen the longest time ago is evicted once there are more than maxKeys. A duplicate does not move the window, so a tag that keeps repeating a transition is passed once per window.
+ */
+function createDeduplicator(options, defaultKey, timeProperty) {
+  const window = options.window >= 0 ? options.window : DEFAULT_WINDOW;
+  const maxKeys = options.maxKeys > 0 ? options.maxKeys : DEFAULT_MAX_KEYS;
+  const getKey =
+    typeof options.key === 'function'
+      ? options.key
+      : message =>
+          (options.key || defaultKey)
+            .map(property => String(message[property]))
+            .join('|');
+
+  let seen = new Map();
+
+  function getTime(message) {
+    const time = Date.parse(message[timeProperty]);
+
+    return isNaN(time) ? Date.now() : time;
+  }
+
+  return {
+    isDuplicate(message) {
+      const key = getKey(message);
+      const time = getTime(message);
+      const last = seen.get(key);
+
+      seen.delete(key);
+      if (last !== undefined && Math.abs(time - last) <= window) {
+        seen.set(key, last);
+        return true;
+      }
+
+      seen.set(key, time);
+      if (seen.size > maxKeys) {
+        seen.delete(seen.keys().next().value);
+      }
+
+      return false;
+    }
+  };
+}
+
+module.exports = {
+  deduplicateRules,
+  createDeduplicator
+};
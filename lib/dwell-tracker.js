@@ -0,0 +1,175 @@
+'use strict';
+
+const validation = require('./options-validation');
+
+const ABSENT = 'ABSENT';
+const DEFAULT_MIN_DWELL = 0;
+const DEFAULT_WINDOW = 3600000;
+
+/**
+ * Validates the dwell option
+ */
+const dwellRules = validation.object({
+  minDwell: validation.number({ min: 0 }),
+  window: validation.number({ min: 1 })
+});
+
+/**
+ *
+ * @param {*} options - minDwell: Number, window: Number - see dwellRules
+ * @returns {*} a dwell tracker - update(message) applies an item queue message and returns the zone visits it completed
+ *
+ * Times are observation times, never the clock of the connector. A visit ends when the item is seen in another zone, or goes ABSENT, but it's only completed once the item has stayed away for minDwell milliseconds - an item that comes back sooner continues the visit, and the shorter visit in between is never reported. The completed visits of the last window milliseconds are kept for getStats.
+ */
+function createDwellTracker(options) {
+  const minDwell = options.minDwell >= 0 ? options.minDwell : DEFAULT_MIN_DWELL;
+  const window = options.window > 0 ? options.window : DEFAULT_WINDOW;
+
+  // the zone each item is in, and the visit it left but may come back to
+  let visits = new Map();
+  // the items that left a visit that is not completed yet, in the order they left it
+  let leaving = new Map();
+  // the completed visits of each zone, in the order they were completed
+  let completed = new Map();
+  let clock = 0;
+
+  function complete(epc, visit, exit, result) {
+    const duration = exit - visit.entry;
+
+    if (visit.zone === ABSENT) return;
+    if (!completed.has(visit.zone)) {
+      completed.set(visit.zone, []);
+    }
+    completed.get(visit.zone).push({ exit, duration });
+    result.push({
+      epc,
+      zone: visit.zone,
+      entry: new Date(visit.entry).toISOString(),
+      exit: new Date(exit).toISOString(),
+      duration
+    });
+  }
+
+  function completeLeaving(result) {
+    for (let [epc, state] of leaving) {
+      if (state.current.entry + minDwell > clock) break;
+
+      leaving.delete(epc);
+      complete(epc, state.previous, state.current.entry, result);
+      state.previous = null;
+      if (state.current.zone === ABSENT) {
+        visits.delete(epc);
+      }
+    }
+  }
+
+  function prune() {
+    for (let [zone, zoneVisits] of completed) {
+      let index = 0;
+
+      while (
+        index < zoneVisits.length &&
+        zoneVisits[index].exit < clock - window
+      ) {
+        index++;
+      }
+      zoneVisits.splice(0, index);
+      if (!zoneVisits.length) completed.delete(zone);
+    }
+  }
+
+  return {
+    /**
+     *
+     * @param {*} message - an item queue message
+     * @returns {Array} the visits that were completed - { epc, zone, entry, exit, duration }
+     */
+    update(message) {
+      const time = Date.parse(message.observationTime);
+      const zone = message.toZone;
+
+      let result = [];
+      let state = visits.get(message.epc);
+
+      if (isNaN(time) || !zone) return result;
+      if (state && time < state.current.last) return result;
+
+      clock = Math.max(clock, time);
+      if (!state) {
+        if (zone !== ABSENT) {
+          visits.set(message.epc, {
+            current: { zone, entry: time, last: time },
+            previous: null
+          });
+        }
+      } else if (state.current.zone === zone) {
+        state.current.last = time;
+      } else if (state.previous && state.previous.zone === zone) {
+        // the item came back before minDwell passed, so it never left
+        leaving.delete(message.epc);
+        state.previous.last = time;
+        state.current = state.previous;
+        state.previous = null;
+      } else if (state.previous && time - state.current.entry < minDwell) {
+        // the visit in between was too short to count
+        leaving.delete(message.epc);
+        complete(message.epc, state.previous, state.current.entry, result);
+        state.previous = null;
+        state.current = { zone, entry: time, last: time };
+        if (zone === ABSENT) {
+          visits.delete(message.epc);
+        }
+      } else {
+        if (state.previous) {
+          leaving.delete(message.epc);
+          complete(message.epc, state.previous, state.current.entry, result);
+        }
+        state.previous = state.current;
+        state.current = { zone, entry: time, last: time };
+        leaving.set(message.epc, state);
+      }
+
+      completeLeaving(result);
+      prune();
+
+      return result;
+    },
+
+    /**
+     * @returns {*} visits, averageDuration, minDuration, and maxDuration of the visits that were completed within the window, by zone name
+     */
+    getStats() {
+      let stats = {};
+
+      prune();
+      for (let [zone, zoneVisits] of completed) {
+        let zoneStats = {
+          visits: zoneVisits.length,
+          averageDuration: 0,
+          minDuration: Infinity,
+          maxDuration: 0
+        };
+
+        for (let visit of zoneVisits) {
+          zoneStats.averageDuration += visit.duration / zoneVisits.length;
+          zoneStats.minDuration = Math.min(
+            zoneStats.minDuration,
+            visit.duration
+          );
+          zoneStats.maxDuration = Math.max(
+            zoneStats.maxDuration,
+            visit.duration
+          );
+        }
+        stats[zone] = zoneStats;
+      }
+
+      return stats;
+    }
+  };
+}
+
+module.exports = {
+  dwellRules,
+  createDwellTracker
+};
@@ -0,0 +1,248 @@
+'use strict';
+
+const validation = require('./options-validation');
+
+/**
+ * The ItemSense health event types - a message with any other type is UNCLASSIFIED
+ */
+const healthType = {
+  CONNECTION: 'CONNECTION',
+  THROUGHPUT: 'THROUGHPUT',
+  CLOCK_SYNC: 'CLOCK_SYNC',
+  HARDWARE_FAULT: 'HARDWARE_FAULT',
+  SOFTWARE_FAULT: 'SOFTWARE_FAULT',
+  LIFECYCLE: 'LIFECYCLE',
+  UNCLASSIFIED: 'UNCLASSIFIED'
+};
+
+/**
+ * The connection states of a reader
+ */
+const readerState = {
+  connected: 'connected',
+  disconnected: 'disconnected'
+};
+
+/**
+ * The types that mean the reader is down unless the message's toState says otherwise, and the types that are not faults
+ */
+const DOWN_TYPES = [healthType.CONNECTION, healthType.HARDWARE_FAULT];
+const NEUTRAL_TYPES = [healthType.LIFECYCLE, healthType.UNCLASSIFIED];
+const UP_STATES = /^(CONNECTED|OK|HEALTHY|UP|RUNNING)$/i;
+const DOWN_STATES = /^(DISCONNECTED|FAILED|DOWN|ERROR|FAULT)$/i;
+
+const DEFAULT_DEBOUNCE = 30000;
+const DEFAULT_RECOVERY_TIMEOUT = 300000;
+
+/**
+ * Validates the readerHealth option
+ */
+const readerHealthRules = validation.object({
+  debounce: validation.number({ min: 0 }),
+  recoveryTimeout: validation.number({ min: 0 })
+});
+
+/**
+ *
+ * @param {*} message - a health queue message
+ * @returns {String} the healthType of the message
+ */
+function classifyHealthMessage(message) {
+  const type = String(message.type || '').toUpperCase();
+
+  return healthType[type] && type !== healthType.UNCLASSIFIED
+    ? type
+    : healthType.UNCLASSIFIED;
+}
+
+/**
+ *
+ * @param {*} message - a health queue message
+ * @returns {Boolean} true if the message's toState is a down state, false if it's an up state, or null if it's neither
+ */
+function getToState(message) {
+  if (typeof message.toState !== 'string') return null;
+  if (UP_STATES.test(message.toState)) return false;
+  if (DOWN_STATES.test(message.toState)) return true;
+
+  return null;
+}
+
+/**
+ *
+ * @param {*} message - a health queue message
+ * @param {String} type - the healthType of the message
+ * @returns {Boolean} true if the message means the reader is down, false if it means the reader is up, or null if it says neither
+ *
+ * A known toState decides. Otherwise CONNECTION and HARDWARE_FAULT messages mean the reader is down, and the other messages say neither - a THROUGHPUT, CLOCK_SYNC, or SOFTWARE_FAULT message is a fault too, so it's no proof the reader is up.
+ */
+function isDownMessage(message, type) {
+  const toState = getToState(message);
+
+  if (toState !== null) return toState;
+
+  return DOWN_TYPES.indexOf(type) !== -1 ? true : null;
+}
+
+/**
+ *
+ * @param {*} options - debounce: Number, recoveryTimeout: Number - see readerHealthRules
+ * @param {Function} onTransition - called with (event, reader) when a reader is reported down ('readerDown') or recovered ('readerRecovered')
+ * @returns {*} a health registry - update(message) applies a health queue message, getReaderHealth() returns the status of each reader, and stop() clears its timers
+ *
+ * A reader is reported down once it has been down for debounce milliseconds, and recovered once it has been up for debounce milliseconds, so a reader that flaps within debounce is not reported. A down reader comes back up with a message whose toState is an up state, or when it sends no message that says it's down for recoveryTimeout milliseconds - a healthy reader can be quiet, so it's not reported down forever unless recoveryTimeout is 0. Every reader is considered connected until it's reported down. The fault of a reader is its last CONNECTION, THROUGHPUT, CLOCK_SYNC, HARDWARE_FAULT, or SOFTWARE_FAULT message, until a message with an up toState, or until the reader is reported recovered.
+ */
+function createHealthRegistry(options, onTransition) {
+  const debounce = options.debounce >= 0 ? options.debounce : DEFAULT_DEBOUNCE;
+  const recoveryTimeout =
+    options.recoveryTimeout >= 0
+      ? options.recoveryTimeout
+      : DEFAULT_RECOVERY_TIMEOUT;
+
+  let readers = new Map();
+
+  function createReader(readerName) {
+    let counts = {};
+
+    for (let type in healthType) {
+      counts[type] = 0;
+    }
+
+    return {
+      status: {
+        readerName,
+        connection: readerState.connected,
+        lastSeen: null,
+        lastType: null,
+        fault: null,
+        counts
+      },
+      down: false,
+      debounceHandle: null,
+      recoveryHandle: null
+    };
+  }
+
+  function report(reader) {
+    const connection = reader.down
+      ? readerState.disconnected
+      : readerState.connected;
+
+    if (reader.status.connection === connection) return;
+
+    reader.status.connection = connection;
+    if (!reader.down) {
+      reader.status.fault = null;
+    }
+    onTransition(
+      reader.down ? 'readerDown' : 'readerRecovered',
+      copyStatus(reader.status)
+    );
+  }
+
+  function setDown(reader, down) {
+    const changed = reader.down !== down;
+
+    reader.down = down;
+    clearTimeout(reader.recoveryHandle);
+    if (down && recoveryTimeout > 0) {
+      reader.recoveryHandle = setTimeout(
+        () => setDown(reader, false),
+        recoveryTimeout
+      );
+    }
+    if (!changed) return;
+
+    clearTimeout(reader.debounceHandle);
+    if (debounce > 0) {
+      reader.debounceHandle = setTimeout(() => report(reader), debounce);
+    } else {
+      report(reader);
+    }
+  }
+
+  return {
+    /**
+     *
+     * @param {*} message - a health queue message
+     * @returns {String} the healthType of the message
+     */
+    update(message) {
+      const type = classifyHealthMessage(message);
+      const readerName = message.readerName;
+
+      if (!readerName) return type;
+
+      let reader = readers.get(readerName);
+
+      if (!reader) {
+        reader = createReader(readerName);
+        readers.set(readerName, reader);
+      }
+      reader.status.lastSeen = message.eventTime || new Date().toISOString();
+      reader.status.lastType = type;
+      reader.status.counts[type]++;
+
+      const down = isDownMessage(message, type);
+
+      if (getToState(message) === false) {
+        reader.status.fault = null;
+      } else if (NEUTRAL_TYPES.indexOf(type) === -1) {
+        reader.status.fault = {
+          type,
+          code: message.code === undefined ? null : message.code,
+          eventTime: reader.status.lastSeen,
+          args: message.args === undefined ? null : message.args
+        };
+      }
+      if (down !== null) {
+        setDown(reader, down);
+      }
+
+      return type;
+    },
+
+    /**
+     * @returns {*} readerName, connection, lastSeen, lastType, fault, and counts by healthType - by reader name
+     */
+    getReaderHealth() {
+      let health = {};
+
+      for (let [readerName, reader] of readers) {
+        health[readerName] = copyStatus(reader.status);
+      }
+
+      return health;
+    },
+
+    /**
+     * Clears the debounce and recovery timers, so the registry no longer reports anything
+     */
+    stop() {
+      for (let reader of readers.values()) {
+        clearTimeout(reader.debounceHandle);
+        clearTimeout(reader.recoveryHandle);
+      }
+    }
+  };
+}
+
+/**
+ *
+ * @param {*} status - the status of a reader
+ * @returns {*} a copy of the status that can be serialized as JSON
+ */
+function copyStatus(status) {
+  return Object.assign({}, status, {
+    fault: status.fault ? Object.assign({}, status.fault) : null,
+    counts: Object.assign({}, status.counts)
+  });
+}
+
+module.exports = {
+  healthType,
+  readerState,
+  readerHealthRules,
+  classifyHealthMessage,
+  createHealthRegistry
+};
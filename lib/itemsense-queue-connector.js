@@ -1,8 +1,21 @@
 'use strict';
 
 const events = require('events');
+const stream = require('stream');
+const util = require('util');
+const url = require('url');
 const amqp = require('amqplib');
 const requests = require('./itemsense-requests');
+const retryPolicies = require('./retry-policies');
+const validation = require('./options-validation');
+const metrics = require('./metrics');
+const stateStore = require('./state-store');
+const messageFilter = require('./message-filter');
+const deduplicator = require('./deduplicator');
+const presenceTracker = require('./presence-tracker');
+const dwellTracker = require('./dwell-tracker');
+const thresholdEvents = require('./threshold-events');
+const healthRegistry = require('./health-registry');
 
 const isChildProcess = typeof process.send === 'function';
 
@@ -14,26 +27,312 @@ const event = {
   thresholdQueueConnected: 'thresholdQueueConnected',
   healthQueueMessage: 'healthQueueMessage',
   healthQueueConnected: 'healthQueueConnected',
-  amqpConnectionClosed: 'amqpConnectionClosed'
+  itemSubscriptionMessage: 'itemSubscriptionMessage',
+  itemSubscriptionConnected: 'itemSubscriptionConnected',
+  amqpConnectionClosed: 'amqpConnectionClosed',
+  invalidMessage: 'invalidMessage',
+  warning: 'warning',
+  validationError: 'validationError',
+  commandError: 'commandError',
+  reconnecting: 'reconnecting',
+  gaveUp: 'gaveUp',
+  status: 'status',
+  queueRecreated: 'queueRecreated',
+  queueReattached: 'queueReattached',
+  serverRestarted: 'serverRestarted',
+  optionsUpdated: 'optionsUpdated',
+  queuePaused: 'queuePaused',
+  queueResumed: 'queueResumed',
+  started: 'started',
+  stopped: 'stopped',
+  zoneEnter: 'zoneEnter',
+  zoneExit: 'zoneExit',
+  presenceSnapshot: 'presenceSnapshot',
+  itemSnapshot: 'itemSnapshot',
+  initialInventory: 'initialInventory',
+  zoneVisitCompleted: 'zoneVisitCompleted',
+  dwellStats: 'dwellStats',
+  thresholdIn: 'thresholdIn',
+  thresholdOut: 'thresholdOut',
+  thresholdCounts: 'thresholdCounts',
+  readerDown: 'readerDown',
+  readerRecovered: 'readerRecovered',
+  readerHealth: 'readerHealth'
+};
+
+const connectionState = {
+  disabled: 'disabled',
+  disconnected: 'disconnected',
+  connecting: 'connecting',
+  connected: 'connected',
+  reconnecting: 'reconnecting',
+  paused: 'paused',
+  gaveUp: 'gaveUp'
 };
 
 const DEFAULT_HOSTNAME = '127.0.0.1';
 const DEFAULT_PORT = 80;
 const DEFAULT_IGNORE_ABSENT = false;
 const DEFAULT_CONN_RETRY = 30000;
+const DEFAULT_CONN_RETRY_POLICY = retryPolicies.policy.fixed;
+const DEFAULT_CONN_RETRY_MAX = 300000;
+const DEFAULT_CONN_RETRY_MAX_ATTEMPTS = 0;
 const DEFAULT_CONN_HEARTBEAT = 30000;
 const DEFAULT_MAX_OBSERVATION_TIME_DELTA = 0;
+const DEFAULT_MESSAGE_FILTER = null;
+const DEFAULT_DEDUPLICATE = null;
+const DEFAULT_SHARED_CONNECTION = false;
+const DEFAULT_MANUAL_ACK = false;
+const DEFAULT_REQUEUE_ON_FAILURE = false;
+const DEFAULT_PREFETCH = 0;
+const DEFAULT_WATCHDOG_TIMEOUT = 0;
+const DEFAULT_REATTACH_CHECK_DELAY = 10000;
+const DEFAULT_SERVER_IDENTITY = null;
+const DEFAULT_STATE_STORE = null;
+const DEFAULT_START_TIMEOUT = 0;
+const DEFAULT_DRAIN_TIMEOUT = 0;
+const DEFAULT_STREAM_HIGH_WATER_MARK = 100;
+const DEFAULT_TRACK_PRESENCE = false;
+const DEFAULT_INITIAL_INVENTORY = '';
+const DEFAULT_DWELL = null;
+const DEFAULT_THRESHOLD_EVENTS = null;
+const DEFAULT_READER_HEALTH = null;
+const DEFAULT_METRICS_PORT = 0;
+const DEFAULT_METRICS_HOSTNAME = '';
 
 const MIN_CONN_HEARTBEAT = 1; // amqplib connection heartbeat unit is seconds
 const MIN_CONN_RETRY = 1000;
+const INVENTORY_PAGE_SIZE = 1000; // the largest page ItemSense returns
+
+const AMQP_PORT = 5672;
+const AMQPS_PORT = 5671;
+const AMQP_VHOST = '/';
+const LOOPBACK_HOSTNAMES = ['localhost', '127.0.0.1', '::1'];
+const SHARED_CONNECTION = 'shared';
+const SUBSCRIPTION_KEY_PREFIX = 'item:';
+
+/**
+ * Options that can only be applied by reconnecting every queue - the queues are kept unless an option that points the connector at a different server changed
+ */
+const RECONNECT_OPTIONS = [
+  'hostname',
+  'port',
+  'username',
+  'password',
+  'connectionHeartbeatInterval',
+  'sharedConnection',
+  'amqpHostname',
+  'amqpPort',
+  'amqpVhost',
+  'restTls',
+  'amqpTls'
+];
+const NEW_SERVER_OPTIONS = ['hostname', 'amqpHostname'];
+const METRICS_OPTIONS = ['metricsPort', 'metricsHostname'];
+
+/**
+ * The properties an ItemSense item queue filter can have
+ */
+const itemQueueFilterRules = {
+  fromFacility: validation.string(),
+  toFacility: validation.string(),
+  fromZone: validation.string(),
+  toZone: validation.string(),
+  epc: validation.string({ pattern: /^[0-9A-Fa-f]*$/ }),
+  jobId: validation.string(),
+  distance: validation.number({ min: 0 }),
+  zoneTransitionsOnly: validation.boolean()
+};
+
+const tlsOptionRules = validation.object({
+  enabled: validation.boolean(),
+  ca: validation.anyOf(validation.string(), validation.buffer()),
+  cert: validation.anyOf(validation.string(), validation.buffer()),
+  key: validation.anyOf(validation.string(), validation.buffer()),
+  passphrase: validation.string(),
+  rejectUnauthorized: validation.boolean()
+});
+
+/**
+ * The options a queue, or an item subscription, can override - see resolveQueueOptions
+ */
+const queueOptionRules = {
+  enabled: validation.boolean(),
+  queueName: validation.string(),
+  ignoreAbsent: validation.boolean(),
+  maxObservationTimeDelta: validation.number({ min: 0 }),
+  messageFilter: validation.nullable(messageFilter.messageFilterRules),
+  deduplicate: validation.nullable(deduplicator.deduplicateRules),
+  manualAck: validation.boolean(),
+  requeueOnFailure: validation.boolean(),
+  prefetch: validation.number({ integer: true, min: 0, max: 65535 }),
+  watchdogTimeout: validation.number({ min: 0 }),
+  connectionRetryInterval: validation.number({ min: MIN_CONN_RETRY }),
+  connectionRetryPolicy: validation.anyOf(
+    validation.oneOf(Object.values(retryPolicies.policy)),
+    validation.func()
+  ),
+  connectionRetryMaxInterval: validation.number({ min: MIN_CONN_RETRY }),
+  connectionRetryMaxAttempts: validation.number({ integer: true, min: 0 })
+};
+
+const itemQueueOptionRules = Object.assign(
+  { filter: validation.object(itemQueueFilterRules) },
+  queueOptionRules
+);
+
+const optionRules = {
+  id: validation.string(),
+  name: validation.string(),
+
+  // CONNECTION
+  hostname: validation.string({ nonEmpty: true }),
+  port: validation.number({ integer: true, min: 1, max: 65535 }),
+  username: validation.string(),
+  password: validation.string(),
+  connectionRetryInterval: queueOptionRules.connectionRetryInterval,
+  connectionRetryPolicy: queueOptionRules.connectionRetryPolicy,
+  connectionRetryMaxInterval: queueOptionRules.connectionRetryMaxInterval,
+  connectionRetryMaxAttempts: queueOptionRules.connectionRetryMaxAttempts,
+  connectionHeartbeatInterval: validation.number({
+    min: MIN_CONN_HEARTBEAT * 1000
+  }),
+  sharedConnection: validation.boolean(),
+
+  // AMQP
+  amqpHostname: validation.string(),
+  amqpPort: validation.number({ integer: true, min: 0, max: 65535 }),
+  amqpVhost: validation.string(),
+
+  // TLS
+  restTls: tlsOptionRules,
+  amqpTls: tlsOptionRules,
+
+  // QUEUE
+  itemQueueName: validation.string(),
+  itemQueueFilter: validation.object(itemQueueFilterRules),
+  thresholdQueueName: validation.string(),
+  healthQueueName: validation.string(),
+
+  // TOLERANCE
+  ignoreAbsent: queueOptionRules.ignoreAbsent,
+  maxObservationTimeDelta: queueOptionRules.maxObservationTimeDelta,
+  messageFilter: queueOptionRules.messageFilter,
+  deduplicate: queueOptionRules.deduplicate,
+
+  // ACKNOWLEDGEMENT
+  manualAck: queueOptionRules.manualAck,
+  requeueOnFailure: queueOptionRules.requeueOnFailure,
+  prefetch: queueOptionRules.prefetch,
+
+  // WATCHDOG
+  watchdogTimeout: queueOptionRules.watchdogTimeout,
+
+  // REATTACHMENT
+  reattachCheckDelay: validation.number({ min: 0 }),
+  serverIdentity: validation.nullable(validation.func()),
+
+  // STATE
+  stateStore: validation.nullable(
+    validation.anyOf(
+      validation.string({ nonEmpty: true }),
+      validation.refine(
+        validation.object(
+          { load: validation.func(), save: validation.func() },
+          { allowUnknown: true }
+        ),
+        (store, path) =>
+          typeof store.load === 'function' && typeof store.save === 'function'
+            ? []
+            : [`${path} must have load and save functions`]
+      )
+    )
+  ),
+
+  // LIFECYCLE
+  startTimeout: validation.number({ min: 0 }),
+
+  // PRESENCE
+  trackPresence: validation.boolean(),
+  initialInventory: validation.oneOf(['', 'snapshot', 'items']),
+
+  // DWELL
+  dwell: validation.nullable(dwellTracker.dwellRules),
+
+  // THRESHOLDS
+  thresholdEvents: validation.nullable(thresholdEvents.thresholdEventRules),
+
+  // READER HEALTH
+  readerHealth: validation.nullable(healthRegistry.readerHealthRules),
+
+  // METRICS
+  metricsPort: validation.number({ integer: true, min: 0, max: 65535 }),
+  metricsHostname: validation.string(),
+
+  // PER QUEUE
+  queues: validation.object({
+    item: validation.object(itemQueueOptionRules),
+    threshold: validation.object(queueOptionRules),
+    health: validation.object(queueOptionRules)
+  }),
+
+  // ITEM SUBSCRIPTIONS
+  itemSubscriptions: validation.refine(
+    validation.arrayOf(
+      validation.object(
+        Object.assign(
+          { name: validation.string({ nonEmpty: true }) },
+          itemQueueOptionRules
+        )
+      )
+    ),
+    (subscriptions, path) => {
+      let problems = [];
+      let names = [];
+
+      subscriptions.forEach((subscription, index) => {
+        if (!subscription.name) {
+          problems.push(`${path}[${index}].name is required`);
+        } else if (names.indexOf(subscription.name) !== -1) {
+          problems.push(
+            `${path}[${index}].name '${subscription.name}' is already used`
+          );
+        }
+        names.push(subscription.name);
+      });
+
+      return problems;
+    }
+  )
+};
+
+/**
+ *
+ * @param {*} options - The options to validate
+ * @returns {*} errors: Array, warnings: Array
+ *
+ * Validates connector options - every problem is listed, and unknown options are reported as warnings
+ */
+function validateOptions(options) {
+  return validation.validate(optionRules, options);
+}
 
 /**
  *
  * @param {*} options - The options to merge with the default options
  *
- * Creates the options required to start a connector - any missing options in the provided args will be set to default values
+ * Creates the options required to start a connector - any missing options in the provided args will be set to default values. Throws a ValidationError that lists every problem if the provided options are invalid, and emits a process warning for each unknown option.
  */
 function createOptions(options = {}) {
+  const result = validateOptions(options);
+
+  if (result.errors.length) {
+    throw validation.createValidationError(result);
+  }
+  for (let warning of result.warnings) {
+    process.emitWarning(warning, 'ItemSenseConnectorWarning');
+  }
+
   let defaults = {
     id: 'ItemSenseQueueConnector',
     name: 'ItemSenseQueueConnector',
@@ -44,7 +343,20 @@ function createOptions(options = {}) {
     username: '',
     password: '',
     connectionRetryInterval: DEFAULT_CONN_RETRY,
+    connectionRetryPolicy: DEFAULT_CONN_RETRY_POLICY,
+    connectionRetryMaxInterval: DEFAULT_CONN_RETRY_MAX,
+    connectionRetryMaxAttempts: DEFAULT_CONN_RETRY_MAX_ATTEMPTS,
     connectionHeartbeatInterval: DEFAULT_CONN_HEARTBEAT,
+    sharedConnection: DEFAULT_SHARED_CONNECTION,
+
+    // AMQP
+    amqpHostname: '',
+    amqpPort: 0,
+    amqpVhost: '',
+
+    // TLS
+    restTls: createTlsOptions(),
+    amqpTls: createTlsOptions(),
 
     // QUEUE
     itemQueueName: '',
@@ -54,18 +366,565 @@ function createOptions(options = {}) {
 
     // TOLERANCE
     ignoreAbsent: DEFAULT_IGNORE_ABSENT,
-    maxObservationTimeDelta: DEFAULT_MAX_OBSERVATION_TIME_DELTA
+    maxObservationTimeDelta: DEFAULT_MAX_OBSERVATION_TIME_DELTA,
+    messageFilter: DEFAULT_MESSAGE_FILTER,
+    deduplicate: DEFAULT_DEDUPLICATE,
+
+    // ACKNOWLEDGEMENT
+    manualAck: DEFAULT_MANUAL_ACK,
+    requeueOnFailure: DEFAULT_REQUEUE_ON_FAILURE,
+    prefetch: DEFAULT_PREFETCH,
+
+    // WATCHDOG - the silence, in milliseconds, after which the item and threshold queues are checked for messages the server published but the queue never delivered
+    watchdogTimeout: DEFAULT_WATCHDOG_TIMEOUT,
+
+    // REATTACHMENT - a queue is reused after a network interruption, and checked for messages the server published but the queue never delivered after reattachCheckDelay milliseconds. serverIdentity is a function that resolves with a value that changes when ItemSense restarts.
+    reattachCheckDelay: DEFAULT_REATTACH_CHECK_DELAY,
+    serverIdentity: DEFAULT_SERVER_IDENTITY,
+
+    // STATE - a file path, or an object with load(key) and save(key, value) functions, used to keep the names of created item and threshold queues across restarts
+    stateStore: DEFAULT_STATE_STORE,
+
+    // LIFECYCLE - the time, in milliseconds, start() waits for the enabled queues to be consumed before it rejects - 0 waits forever
+    startTimeout: DEFAULT_START_TIMEOUT,
+
+    // PRESENCE - if true, the item queue and item subscription messages are used to keep where each EPC is right now
+    trackPresence: DEFAULT_TRACK_PRESENCE,
+
+    // INVENTORY - snapshot or items to page through the items ItemSense knows about before the item queues are consumed
+    initialInventory: DEFAULT_INITIAL_INVENTORY,
+
+    // DWELL - minDwell and window, in milliseconds, to emit the zone visits of each item, and keep the dwell statistics of each zone
+    dwell: DEFAULT_DWELL,
+
+    // THRESHOLDS - minConfidence, thresholds, bucketInterval, and buckets to emit thresholdIn and thresholdOut events, and count them per threshold
+    thresholdEvents: DEFAULT_THRESHOLD_EVENTS,
+
+    // READER HEALTH - debounce and recoveryTimeout, in milliseconds, to keep the status of each reader from the health queue, and emit readerDown and readerRecovered events
+    readerHealth: DEFAULT_READER_HEALTH,
+
+    // METRICS
+    metricsPort: DEFAULT_METRICS_PORT,
+    metricsHostname: DEFAULT_METRICS_HOSTNAME,
+
+    // PER QUEUE - item, threshold, and health objects that override the options above
+    queues: {},
+
+    // ITEM SUBSCRIPTIONS - additional item queues, each with a unique name and its own filter
+    itemSubscriptions: []
   };
 
   for (let opt in defaults) {
-    if (options[opt]) {
+    if (options[opt] !== undefined) {
       defaults[opt] = options[opt];
     }
   }
 
+  defaults.restTls = createTlsOptions(defaults.restTls);
+  defaults.amqpTls = createTlsOptions(defaults.amqpTls);
+
   return defaults;
 }
 
+/**
+ *
+ * @param {*} options - The TLS options to merge with the default TLS options
+ *
+ * Creates the TLS options used by the restTls and amqpTls connector options - ca, cert, and key should be PEM encoded strings when the connector is run as a child process
+ */
+function createTlsOptions(options = {}) {
+  return {
+    enabled: options.enabled === true,
+    ca: options.ca || '',
+    cert: options.cert || '',
+    key: options.key || '',
+    passphrase: options.passphrase || '',
+    rejectUnauthorized: options.rejectUnauthorized !== false
+  };
+}
+
+/**
+ *
+ * @param {*} options - The connector options
+ * @param {*} queueResponse - The response from an ItemSense queue creation request, if one is available
+ *
+ * Creates the AMQP endpoint a queue should be consumed from. The serverUrl and vhost returned by ItemSense are used when available, unless the serverUrl refers to a loopback address. The serverUrl port is only used when its scheme matches the amqpTls option (amqps with TLS, amqp without), since a plaintext port can't be used for AMQPS. The amqpHostname, amqpPort, and amqpVhost options always take precedence.
+ */
+function createAmqpEndpoint(options, queueResponse) {
+  const protocol = createTlsOptions(options.amqpTls).enabled
+    ? 'amqps:'
+    : 'amqp:';
+
+  let endpoint = {
+    hostname: options.hostname,
+    port: 0,
+    vhost: AMQP_VHOST
+  };
+
+  if (queueResponse && queueResponse.serverUrl) {
+    const serverUrl = url.parse(queueResponse.serverUrl);
+
+    if (
+      serverUrl.hostname &&
+      LOOPBACK_HOSTNAMES.indexOf(serverUrl.hostname) === -1
+    ) {
+      endpoint.hostname = serverUrl.hostname;
+    }
+    if (serverUrl.port && serverUrl.protocol === protocol) {
+      endpoint.port = parseInt(serverUrl.port);
+    }
+    if (serverUrl.pathname && serverUrl.pathname.length > 1) {
+      endpoint.vhost = decodeURIComponent(serverUrl.pathname.slice(1));
+    }
+  }
+  if (queueResponse && queueResponse.vhost) {
+    endpoint.vhost = queueResponse.vhost;
+  }
+
+  if (options.amqpHostname) {
+    endpoint.hostname = options.amqpHostname;
+  }
+  if (options.amqpPort) {
+    endpoint.port = options.amqpPort;
+  }
+  if (options.amqpVhost) {
+    endpoint.vhost = options.amqpVhost;
+  }
+
+  return endpoint;
+}
+
+/**
+ *
+ * @param {String} label - a queue or connection label
+ *
+ * Returns the label with a lower case first letter so it can be used mid-sentence
+ */
+function lowerFirst(label) {
+  return label.charAt(0).toLowerCase() + label.slice(1);
+}
+
+/**
+ *
+ * @param {*} options - The connector options
+ * @param {*} endpoint - The result of a createAmqpEndpoint call
+ *
+ * Creates the url and socket options arguments for an amqp.connect call
+ */
+function createAmqpConnectArgs(options, endpoint) {
+  const tls = createTlsOptions(options.amqpTls);
+  const heartbeat = Math.max(
+    MIN_CONN_HEARTBEAT,
+    Math.floor(options.connectionHeartbeatInterval * 0.001) // amqplib connection heartbeat in seconds
+  );
+
+  endpoint = endpoint || createAmqpEndpoint(options);
+
+  let amqpUrl = {
+    protocol: tls.enabled ? 'amqps' : 'amqp',
+    hostname: endpoint.hostname,
+    port: endpoint.port || (tls.enabled ? AMQPS_PORT : AMQP_PORT),
+    vhost: endpoint.vhost,
+    username: options.username,
+    password: options.password,
+    heartbeat: heartbeat // seconds
+  };
+  let socketOptions = {};
+
+  if (tls.enabled) {
+    socketOptions = {
+      ca: tls.ca ? [tls.ca] : undefined,
+      cert: tls.cert || undefined,
+      key: tls.key || undefined,
+      passphrase: tls.passphrase || undefined,
+      rejectUnauthorized: tls.rejectUnauthorized,
+      servername: endpoint.hostname
+    };
+  }
+
+  return [amqpUrl, socketOptions];
+}
+
+/**
+ * The options that cause a queue message to be filtered before it reaches listeners
+ */
+const filterReason = {
+  ignoreAbsent: 'ignoreAbsent',
+  maxObservationTimeDelta: 'maxObservationTimeDelta',
+  messageFilter: 'messageFilter',
+  duplicate: 'duplicate'
+};
+
+/**
+ * The reasons a queue message can be rejected before it reaches listeners
+ */
+const invalidMessageReason = {
+  invalidJson: 'invalidJson',
+  invalidSchema: 'invalidSchema'
+};
+
+/**
+ *
+ * @param {*} filter - an item queue filter
+ * @param {*} query - the other query parameters
+ * @returns {*} the query parameters that show the items the filter matches
+ */
+function createItemQuery(filter, query) {
+  let itemQuery = Object.assign({}, query);
+
+  if (filter.epc) itemQuery.epcPrefix = filter.epc;
+  if (filter.toZone) itemQuery.zoneNames = filter.toZone;
+  if (filter.toFacility) itemQuery.facility = filter.toFacility;
+  if (filter.jobId) itemQuery.jobId = filter.jobId;
+
+  return itemQuery;
+}
+
+/**
+ *
+ * @param {*} filter - an item queue filter
+ * @param {*} query - the other query parameters
+ * @returns {*} the query parameters that show the item history the filter would publish to a queue
+ *
+ * zoneTransitionsOnly defaults to true, the same as it does for a queue, so in-zone location updates don't count unless the queue publishes them
+ */
+function createItemHistoryQuery(filter, query) {
+  let historyQuery = Object.assign({}, query, {
+    zoneTransitionsOnly: filter.zoneTransitionsOnly !== false
+  });
+
+  if (filter.epc) historyQuery.epcPrefix = filter.epc;
+  if (filter.fromZone) historyQuery.fromZone = filter.fromZone;
+  if (filter.toZone) historyQuery.toZone = filter.toZone;
+  if (filter.fromFacility) historyQuery.fromFacility = filter.fromFacility;
+  if (filter.toFacility) historyQuery.toFacility = filter.toFacility;
+  if (filter.jobId) historyQuery.jobId = filter.jobId;
+  if (filter.distance > 0) historyQuery.minDistanceMoved = filter.distance;
+
+  return historyQuery;
+}
+
+/**
+ *
+ * @param {*} item - an item from the ItemSense items/show response
+ * @returns {*} epc, zone, floor, facility, x, y, and observationTime - the same shape the presence tracker uses
+ */
+function createInventoryItem(item) {
+  return {
+    epc: item.epc,
+    zone: item.zone,
+    floor: item.floor === undefined ? null : item.floor,
+    facility: item.facility === undefined ? null : item.facility,
+    x: typeof item.xLocation === 'number' ? item.xLocation : null,
+    y: typeof item.yLocation === 'number' ? item.yLocation : null,
+    observationTime: item.lastModifiedTime
+  };
+}
+
+/**
+ *
+ * @param {*} options - The connector options
+ * @param {*} filter - the item queue filter
+ * @param {String} since - when the queue last received a message
+ * @returns {Promise} resolves with true if ItemSense recorded an item history entry the queue would have published since the time given
+ */
+function probeItemQueue(options, filter, since) {
+  const query = createItemHistoryQuery(filter, {
+    fromTime: since,
+    pageSize: 1
+  });
+
+  return requests
+    .showItemHistory(options, query)
+    .then(res => Array.isArray(res.history) && res.history.length > 0);
+}
+
+/**
+ *
+ * @param {*} options - The connector options
+ * @param {*} filter - unused, threshold queues are not filtered
+ * @param {String} since - when the queue last received a message
+ * @returns {Promise} resolves with true if an item crossed a threshold since the time given
+ */
+function probeThresholdQueue(options, filter, since) {
+  return requests
+    .showThresholdTransitions(options, { fromTime: since, pageSize: 1 })
+    .then(res => Array.isArray(res.transitions) && res.transitions.length > 0);
+}
+
+/**
+ *
+ * @param {*} options - The connector options
+ * @returns {Promise} resolves with the ids of the running ItemSense jobs
+ *
+ * A serverIdentity for ItemSense - a restart stops the running jobs, and the jobs that run afterwards have new ids, while a network interruption leaves them running
+ */
+function runningJobs(options) {
+  return requests.showJobs(options).then(jobs =>
+    (Array.isArray(jobs) ? jobs : [])
+      .filter(job => job.status === 'RUNNING')
+      .map(job => job.id)
+      .sort()
+      .join(',')
+  );
+}
+
+/**
+ * Describes the ItemSense queues a connector consumes - queueNameOption is the option used to store the name of a created queue so it can be reused
+ */
+const queueTypes = {
+  item: {
+    label: 'Item',
+    queueNameOption: 'itemQueueName',
+    filterOption: 'itemQueueFilter',
+    timeProperty: 'observationTime',
+    absentProperty: 'toZone',
+    requiredProperties: ['epc', 'observationTime'],
+    inheritsFilters: true,
+    hasLocations: true,
+    deduplicateKey: ['epc', 'toZone'],
+    tracksPresence: true,
+    tracksThresholds: false,
+    tracksHealth: false,
+    createQueue: requests.createItemQueue,
+    probeQueue: probeItemQueue,
+    messageEvent: event.itemQueueMessage,
+    connectedEvent: event.itemQueueConnected
+  },
+  threshold: {
+    label: 'Threshold',
+    queueNameOption: 'thresholdQueueName',
+    filterOption: null,
+    timeProperty: 'observationTime',
+    absentProperty: null, // toZone is IN or OUT
+    requiredProperties: ['epc', 'observationTime'],
+    inheritsFilters: true,
+    hasLocations: false,
+    deduplicateKey: ['epc', 'threshold', 'toZone'],
+    tracksPresence: false,
+    tracksThresholds: true,
+    tracksHealth: false,
+    createQueue: requests.createThresholdQueue,
+    probeQueue: probeThresholdQueue,
+    messageEvent: event.thresholdQueueMessage,
+    connectedEvent: event.thresholdQueueConnected
+  },
+  health: {
+    label: 'Health',
+    queueNameOption: null,
+    filterOption: null,
+    timeProperty: 'eventTime',
+    absentProperty: null,
+    requiredProperties: [],
+    inheritsFilters: false,
+    hasLocations: false,
+    deduplicateKey: ['readerName', 'type', 'code'],
+    tracksPresence: false,
+    tracksThresholds: false,
+    tracksHealth: true,
+    createQueue: requests.createHealthQueue,
+    probeQueue: null,
+    messageEvent: event.healthQueueMessage,
+    connectedEvent: event.healthQueueConnected
+  }
+};
+
+/**
+ *
+ * @param {String} type - item, threshold, or health
+ * @param {String} content - the queue message content
+ * @returns {*} the parsed message
+ *
+ * Parses and validates a queue message - throws an Error with a reason property when the message is invalid
+ */
+function parseMessage(type, content) {
+  const { timeProperty, requiredProperties } = queueTypes[type];
+
+  let json;
+
+  try {
+    json = JSON.parse(content);
+  } catch (err) {
+    err.reason = invalidMessageReason.invalidJson;
+    throw err;
+  }
+
+  let err = null;
+
+  if (json === null || typeof json !== 'object' || Array.isArray(json)) {
+    err = new Error('Message is not a JSON object');
+  } else {
+    for (let prop of requiredProperties) {
+      if (json[prop] === undefined || json[prop] === null) {
+        err = new Error(`Message is missing the ${prop} property`);
+        break;
+      }
+    }
+    if (
+      !err &&
+      requiredProperties.indexOf(timeProperty) !== -1 &&
+      isNaN(Date.parse(json[timeProperty]))
+    ) {
+      err = new Error(`Message ${timeProperty} is not a valid date`);
+    }
+  }
+
+  if (err) {
+    err.reason = invalidMessageReason.invalidSchema;
+    throw err;
+  }
+
+  return json;
+}
+
+/**
+ *
+ * @param {*} options - The connector options
+ * @param {String} type - item, threshold, or health
+ * @param {*} subscription - an entry of options.itemSubscriptions, if the queue is an item subscription
+ *
+ * Creates the effective options of a queue - the connector's flat options are used for anything options.queues[type] does not define. Item subscriptions start from the item queue options, but never inherit its enabled flag, queue name, or filter.
+ */
+function resolveQueueOptions(options, type, subscription) {
+  const { queueNameOption, filterOption } = queueTypes[type];
+  const overrides = (options.queues || {})[type] || {};
+
+  let queueOptions = {
+    enabled: true,
+    queueName: queueNameOption ? options[queueNameOption] : '',
+    filter: filterOption ? options[filterOption] : {},
+    ignoreAbsent: options.ignoreAbsent,
+    maxObservationTimeDelta: options.maxObservationTimeDelta,
+    messageFilter: queueTypes[type].inheritsFilters
+      ? options.messageFilter
+      : null,
+    deduplicate: queueTypes[type].inheritsFilters ? options.deduplicate : null,
+    manualAck: options.manualAck,
+    requeueOnFailure: options.requeueOnFailure,
+    prefetch: options.prefetch,
+    watchdogTimeout: options.watchdogTimeout,
+    connectionRetryInterval: options.connectionRetryInterval,
+    connectionRetryPolicy: options.connectionRetryPolicy,
+    connectionRetryMaxInterval: options.connectionRetryMaxInterval,
+    connectionRetryMaxAttempts: options.connectionRetryMaxAttempts
+  };
+
+  for (let opt in queueOptions) {
+    if (overrides[opt] !== undefined) {
+      queueOptions[opt] = overrides[opt];
+    }
+  }
+
+  if (subscription) {
+    queueOptions.enabled = true;
+    queueOptions.queueName = '';
+    queueOptions.filter = {};
+    for (let opt in queueOptions) {
+      if (subscription[opt] !== undefined) {
+        queueOptions[opt] = subscription[opt];
+      }
+    }
+  }
+
+  return queueOptions;
+}
+
+/**
+ *
+ * @param {String} type - item, threshold, or health
+ * @param {String} opt - the name of a queue option
+ * @returns {Boolean} false if the option has no effect on queues of the type
+ *
+ * Only item messages can be ABSENT, only item and threshold queues can be probed by the watchdog, and only queues that inherit the filters use messageFilter and deduplicate
+ */
+function usesQueueOption(type, opt) {
+  const queueType = queueTypes[type];
+
+  switch (opt) {
+    case 'ignoreAbsent':
+      return queueType.absentProperty !== null;
+    case 'watchdogTimeout':
+      return queueType.probeQueue !== null;
+    case 'messageFilter':
+    case 'deduplicate':
+      return queueType.inheritsFilters;
+    default:
+      return true;
+  }
+}
+
+/**
+ *
+ * @param {String} type - item, threshold, or health
+ * @param {String} subscription - the name of the item subscription, if the queue is an item subscription
+ *
+ * Creates the state of a queue the connector consumes - queues are keyed by their type, or item:name for item subscriptions
+ */
+function createQueueState(type, subscription) {
+  return {
+    key: subscription ? `${SUBSCRIPTION_KEY_PREFIX}${subscription}` : type,
+    type,
+    subscription: subscription || '',
+    label: subscription
+      ? `${queueTypes[type].label} subscription ${subscription}`
+      : queueTypes[type].label,
+    options: null,
+    queueName: '',
+    channel: null,
+    consumerTag: '',
+    endpoint: null,
+    watchdogHandle: -1,
+    reattachHandle: -1,
+    reattachSince: 0,
+    resumeAttempted: false,
+    lastActivity: 0,
+    messageFilter: null,
+    deduplicator: null,
+    stats: {
+      state: connectionState.disconnected,
+      connectedSince: null,
+      reconnects: 0,
+      connectedMs: 0,
+      received: 0,
+      filtered: 0,
+      filteredBy: {
+        ignoreAbsent: 0,
+        maxObservationTimeDelta: 0,
+        messageFilter: 0,
+        duplicate: 0
+      },
+      rejected: 0,
+      emitted: 0,
+      lastMessageTime: null,
+      lastMessageAge: null,
+      recreated: 0,
+      lastError: null
+    }
+  };
+}
+
+/**
+ *
+ * @param {String} name - the name of the connection group - a queue key, or shared
+ * @param {String} label - the label used in messages about the group's connection
+ * @param {Array} queues - the keys of the queues that are consumed over the group's connection
+ *
+ * Creates the state of an AMQP connection that one or more queues are consumed over
+ */
+function createConnectionGroup(name, label, queues) {
+  return {
+    name,
+    label,
+    queues,
+    connection: null,
+    retryHandle: -1,
+    retrying: false,
+    retryAttempts: 0,
+    retryDelay: 0,
+    serverIdentity: undefined
+  };
+}
+
 /**
  * Creates an ItemSenseConnector. If the file is run as a child process, a new ItemSenseConnector instance is created automatically
  */
@@ -77,18 +936,28 @@ class ItemSenseConnector extends events.EventEmitter {
     this.options = createOptions();
 
     // AMQP MQTT
-    this._itemQueueConnection = null;
-    this._itemQueueChannel = null;
-    this._thresholdQueueConnection = null;
-    this._thresholdQueueChannel = null;
-    this._healthQueueConnection = null;
-    this._healthQueueChannel = null;
+    this._queues = {};
+    this._connectionGroups = {};
 
     // STATUS
     this._started = false;
-    this._retryConnectItemQueueHandle = -1;
-    this._retryConnectThresholdQueueHandle = -1;
-    this._retryConnectHealthQueueHandle = -1;
+    this._pendingAcks = {};
+    this._nextAckId = 1;
+    this._rejectedMessageCounts = {};
+    this._serverHistogram = metrics.createHistogram();
+    this._serverCheckFailures = 0;
+    this._metricsServer = null;
+    this._metricsServerPending = null;
+    this._stateStore = null;
+    this._pausedQueues = {};
+    this._startRequest = null;
+    this._pendingDeliveries = new Set();
+    this._streamHolds = {};
+    this._presence = null;
+    this._inventory = null;
+    this._dwell = null;
+    this._thresholdCounter = null;
+    this._healthRegistry = null;
 
     if (isChildProcess) {
       process.on('message', message => {
@@ -99,14 +968,91 @@ class ItemSenseConnector extends events.EventEmitter {
                 event.info,
                 'Received start command'
               );
-              processInstance.start(message.options);
+              processInstance.start(message.options).catch(err => {
+                if (err.name === 'ValidationError') {
+                  processInstance._emitEventMessage(event.validationError, {
+                    message: err.message,
+                    errors: err.errors || [],
+                    warnings: err.warnings || []
+                  });
+                }
+              });
+              break;
+            case 'updateOptions':
+              try {
+                processInstance.updateOptions(message.options);
+              } catch (err) {
+                processInstance._emitEventMessage(event.validationError, {
+                  message: err.message,
+                  errors: err.errors || [],
+                  warnings: err.warnings || []
+                });
+              }
               break;
             case 'shutdown':
               processInstance._emitEventMessage(
                 event.info,
                 'Received shutdown command'
               );
-              processInstance.shutdown();
+              processInstance.shutdown({ drainTimeout: message.drainTimeout });
+              break;
+            case 'status':
+              processInstance._emitEventMessage(
+                event.status,
+                processInstance.getStatus()
+              );
+              break;
+            case 'presence':
+              processInstance._emitEventMessage(
+                event.presenceSnapshot,
+                processInstance.getPresenceSnapshot()
+              );
+              break;
+            case 'dwellStats':
+              processInstance._emitEventMessage(
+                event.dwellStats,
+                processInstance.getDwellStats()
+              );
+              break;
+            case 'thresholdCounts':
+              processInstance._emitEventMessage(
+                event.thresholdCounts,
+                processInstance.getThresholdCounts()
+              );
+              break;
+            case 'readerHealth':
+              processInstance._emitEventMessage(
+                event.readerHealth,
+                processInstance.getReaderHealth()
+              );
+              break;
+            case 'pause':
+              processInstance.pause(message.queue).catch(err => {
+                processInstance._emitEventMessage(event.commandError, {
+                  command: message.command,
+                  queue: message.queue === undefined ? null : message.queue,
+                  message: err.message
+                });
+              });
+              break;
+            case 'resume':
+              processInstance.resume(message.queue).catch(err => {
+                processInstance._emitEventMessage(event.commandError, {
+                  command: message.command,
+                  queue: message.queue === undefined ? null : message.queue,
+                  message: err.message
+                });
+              });
+              break;
+            case 'ack':
+              processInstance._settleAck(message.ackId);
+              break;
+            case 'nack':
+              processInstance._settleAck(
+                message.ackId,
+                new Error(message.error || 'Message was not acknowledged'),
+                message.requeue
+              );
               break;
             default:
               processInstance._emitEventMessage(
@@ -127,510 +1073,2201 @@ class ItemSenseConnector extends events.EventEmitter {
   }
 
   /**
-   *
-   * @param {*} options - This should be the result of a createOptions(options) call - WARNING: the options you provide are not validated before use
-   *
-   * Sets this.options to the provided options and calls _connectItemQueue()
+   * Returns a snapshot of the connector and the connection state and message counts of each queue since the connector was started - the snapshot can be serialized as JSON
    */
-  start(options = {}) {
-    if (this._started) return;
-
-    this._started = true;
-    for (let opt in this.options) {
-      if (options[opt] !== undefined) {
-        this.options[opt] = options[opt];
-      }
+  getStatus() {
+    let status = {
+      id: this.options.id,
+      name: this.options.name,
+      started: this._started,
+      server: {
+        checks: this._serverHistogram.count,
+        failures: this._serverCheckFailures
+      },
+      queues: {}
+    };
+
+    for (let key in this._queues) {
+      const queue = this._queues[key];
+
+      status.queues[key] = Object.assign(
+        { queueName: queue.queueName },
+        queue.stats,
+        {
+          filteredBy: Object.assign({}, queue.stats.filteredBy),
+          lastError: queue.stats.lastError
+            ? Object.assign({}, queue.stats.lastError)
+            : null
+        }
+      );
     }
 
-    clearTimeout(this._retryConnectItemQueueHandle);
-    clearTimeout(this._retryConnectThresholdQueueHandle);
-    clearTimeout(this._retryConnectHealthQueueHandle);
-    this._connectItemQueue();
-    this._connectThresholdQueue();
-    this._connectHealthQueue();
+    return status;
   }
 
   /**
-   *
-   * @param {*} event - event name
-   * @param {*} message - event message
-   *
-   * Depending on how the module is being used, the process will send the event to the parent process or emit the event to listeners
+   * Returns the connector metrics in the Prometheus text format
    */
-  _emitEventMessage(event, message) {
-    if (isChildProcess) {
-      process.send({
-        event,
-        data: message
-      });
-    } else {
-      this.emit(event, message);
-    }
+  getMetrics() {
+    return metrics.formatMetrics(this.getStatus(), this._serverHistogram);
   }
 
   /**
-   * Uses setTimeout to get another _connectItemQueue() call ready
+   * Returns the number of rejected queue messages, by queue key and reason, since the connector was created
    */
-  async _retryConnectItemQueue() {
-    clearTimeout(this._retryConnectItemQueueHandle);
-
-    const retryInterval = Math.max(
-      MIN_CONN_RETRY,
-      this.options.connectionRetryInterval
-    );
+  getRejectedMessageCounts() {
+    let counts = { total: 0, queues: {} };
 
-    this._retryConnectItemQueueHandle = setTimeout(() => {
-      if (this._itemQueueConnection) {
-        this._itemQueueConnection.removeAllListeners();
-      }
-      if (this._itemQueueChannel) {
-        this._itemQueueChannel.removeAllListeners();
-      }
+    for (let key in this._rejectedMessageCounts) {
+      counts.queues[key] = Object.assign({}, this._rejectedMessageCounts[key]);
+      counts.total += counts.queues[key].total;
+    }
 
-      this._connectItemQueue();
-    }, retryInterval);
+    return counts;
   }
 
-  async _retryConnectThresholdQueue() {
-    clearTimeout(this._retryConnectThresholdQueueHandle);
-
-    const retryInterval = Math.max(
-      MIN_CONN_RETRY,
-      this.options.connectionRetryInterval
-    );
-
-    this._retryConnectThresholdQueueHandle = setTimeout(() => {
-      if (this._thresholdQueueConnection) {
-        this._thresholdQueueConnection.removeAllListeners();
-      }
-      if (this._thresholdQueueChannel) {
-        this._thresholdQueueChannel.removeAllListeners();
-      }
-
-      this._connectThresholdQueue();
-    }, retryInterval);
+  /**
+   *
+   * @param {String} epc - the EPC of an item
+   * @returns {*} epc, zone, floor, facility, x, y, and observationTime - where the item is according to the last item queue message for it, or null if it's not present or trackPresence is false
+   */
+  getItem(epc) {
+    return this._presence ? this._presence.getItem(epc) : null;
   }
 
-  async _retryConnectHealthQueue() {
-    clearTimeout(this._retryConnectHealthQueueHandle);
+  /**
+   *
+   * @param {String} zone - the name of a zone
+   * @returns {Array} the items in the zone, in the same form as getItem - empty when trackPresence is false
+   */
+  getZoneContents(zone) {
+    return this._presence ? this._presence.getZoneContents(zone) : [];
+  }
 
-    const retryInterval = Math.max(
-      MIN_CONN_RETRY,
-      this.options.connectionRetryInterval
+  /**
+   * Returns the number of items in each zone, by zone name - empty when trackPresence is false
+   */
+  getZoneCounts() {
+    return this._presence ? this._presence.getZoneCounts() : {};
+  }
+
+  /**
+   * Returns every item that is present, with the time the snapshot was taken, in a form that can be serialized as JSON - null when trackPresence is false
+   */
+  getPresenceSnapshot() {
+    return this._presence ? this._presence.getSnapshot() : null;
+  }
+
+  /**
+   * Returns visits, averageDuration, minDuration, and maxDuration, in milliseconds, of the zone visits that were completed within the dwell window, by zone name - empty when the dwell option is null
+   */
+  getDwellStats() {
+    return this._dwell ? this._dwell.getStats() : {};
+  }
+
+  /**
+   * Returns the in and out counts of each threshold since the connector was started, and per bucket - empty when the thresholdEvents option is null
+   */
+  getThresholdCounts() {
+    return this._thresholdCounter ? this._thresholdCounter.getCounts() : {};
+  }
+
+  /**
+   * Returns readerName, connection, lastSeen, lastType, fault, and counts by health type of each reader that sent a health message, by reader name - empty when the readerHealth option is null
+   */
+  getReaderHealth() {
+    return this._healthRegistry ? this._healthRegistry.getReaderHealth() : {};
+  }
+
+  /**
+   *
+   * @param {*} options - This should be the result of a createOptions(options) call
+   * @returns {Promise} resolves with the connector status once every enabled queue is being consumed
+   *
+   * Validates the provided options, sets this.options to them, and calls _connectGroup() for each connection group. Rejects with a ValidationError that lists every problem if the options are invalid, and emits a warning event for each unknown option. Also rejects when ItemSense refuses the credentials, or when the queues are not consumed within startTimeout milliseconds - the connector keeps trying to connect either way. A started event is emitted when the promise settles.
+   */
+  start(options = {}) {
+    if (this._started) {
+      return this._startRequest
+        ? this._startRequest.promise
+        : Promise.resolve(this.getStatus());
+    }
+
+    const result = validateOptions(options);
+
+    if (result.errors.length) {
+      const err = validation.createValidationError(result);
+
+      this._emitEventMessage(event.started, { error: err.message });
+      return Promise.reject(err);
+    }
+    for (let warning of result.warnings) {
+      this._emitEventMessage(event.warning, warning);
+    }
+
+    this._started = true;
+    for (let opt in this.options) {
+      if (options[opt] !== undefined) {
+        this.options[opt] = options[opt];
+      }
+    }
+
+    let request = {};
+
+    request.promise = new Promise((resolve, reject) => {
+      request.resolve = resolve;
+      request.reject = reject;
+    });
+    // the connector keeps connecting after a rejection, so callers that don't wait for start() should not see an unhandled rejection
+    request.promise.catch(() => {});
+    if (this.options.startTimeout > 0) {
+      request.timeoutHandle = setTimeout(() => {
+        const waiting = Object.keys(this._queues).filter(
+          key => !this._isQueueStarted(this._queues[key])
+        );
+
+        this._failStart(
+          new Error(
+            `Queues were not consumed within ${
+              this.options.startTimeout
+            } ms: ${waiting.join(', ')}`
+          )
+        );
+      }, this.options.startTimeout);
+    }
+    this._startRequest = request;
+    this._presence = this.options.trackPresence
+      ? presenceTracker.createPresenceTracker()
+      : null;
+    this._inventory = this.options.initialInventory
+      ? { running: false, done: false, waiting: {} }
+      : null;
+    this._dwell = this.options.dwell
+      ? dwellTracker.createDwellTracker(this.options.dwell)
+      : null;
+    this._thresholdCounter = this.options.thresholdEvents
+      ? thresholdEvents.createThresholdCounter(this.options.thresholdEvents)
+      : null;
+    this._createHealthRegistry();
+    this._createStateStore();
+
+    this._connect();
+
+    if (this.options.metricsPort > 0) {
+      this._startMetricsServer();
+    }
+    this._checkStarted();
+
+    return request.promise;
+  }
+
+  /**
+   *
+   * @param {*} queue - the queue state
+   * @returns {Boolean} true if the queue is disabled, being consumed, or paused
+   */
+  _isQueueStarted(queue) {
+    return (
+      !queue.options.enabled ||
+      queue.stats.state === connectionState.connected ||
+      queue.stats.state === connectionState.paused
+    );
+  }
+
+  /**
+   * Resolves the start() promise once every enabled queue is being consumed, or paused
+   */
+  _checkStarted() {
+    const request = this._startRequest;
+
+    if (!request) return;
+    for (let key in this._queues) {
+      if (!this._isQueueStarted(this._queues[key])) return;
+    }
+
+    this._startRequest = null;
+    clearTimeout(request.timeoutHandle);
+    this._emitEventMessage(event.started, { error: null });
+    request.resolve(this.getStatus());
+  }
+
+  /**
+   *
+   * @param {*} err - the reason the connector could not start
+   *
+   * Rejects the start() promise, if it has not settled yet
+   */
+  _failStart(err) {
+    const request = this._startRequest;
+
+    if (!request) return;
+
+    const error = err instanceof Error ? err : new Error(err);
+
+    this._startRequest = null;
+    clearTimeout(request.timeoutHandle);
+    this._emitEventMessage(event.started, { error: error.message });
+    request.reject(error);
+  }
+
+  /**
+   *
+   * @param {String} key - the queue key - item, threshold, health, or item:name - all of the enabled queues are paused when it's not provided
+   * @returns {Promise} resolves once the queues are no longer being consumed
+   *
+   * Stops consuming a queue without closing its connection or forgetting the queue, so ItemSense keeps the messages on the queue until the queue is resumed. A queue that is paused while it's connecting or reconnecting is not consumed once it connects. Rejects if the queue does not exist.
+   */
+  async pause(key) {
+    for (let queueKey of this._getQueueKeys(key)) {
+      const queue = this._queues[queueKey];
+      const connected = queue.stats.state === connectionState.connected;
+
+      if (this._pausedQueues[queueKey]) continue;
+
+      this._pausedQueues[queueKey] = true;
+      clearTimeout(queue.watchdogHandle);
+      clearTimeout(queue.reattachHandle);
+      if (connected) {
+        this._setQueueState(queue, connectionState.paused);
+        try {
+          await queue.channel.cancel(queue.consumerTag);
+        } catch (err) {
+          this._emitQueueError([queueKey], err);
+        }
+      }
+      this._emitEventMessage(event.queuePaused, {
+        queue: queueKey,
+        queueName: queue.queueName
+      });
+    }
+  }
+
+  /**
+   *
+   * @param {String} key - the queue key - item, threshold, health, or item:name - all of the paused queues are resumed when it's not provided
+   * @returns {Promise} resolves once the queues are being consumed again
+   *
+   * Consumes a paused queue again, starting with the messages that were kept on the queue while it was paused. Rejects if the queue does not exist.
+   */
+  async resume(key) {
+    for (let queueKey of this._getQueueKeys(key)) {
+      const queue = this._queues[queueKey];
+      const group = this._getGroup(queueKey);
+
+      if (!this._pausedQueues[queueKey]) continue;
+
+      delete this._pausedQueues[queueKey];
+      this._emitEventMessage(event.queueResumed, {
+        queue: queueKey,
+        queueName: queue.queueName
+      });
+      if (!group || queue.stats.state !== connectionState.paused) {
+        continue; // the queue is consumed once it connects
+      }
+      if (!queue.queueName) {
+        // the queue's filter changed while it was paused
+        this._reconnectGroup(group);
+        continue;
+      }
+      try {
+        // prefetch may have changed while the queue was paused
+        await queue.channel.prefetch(queue.options.prefetch);
+      } catch (err) {
+        this._emitQueueError([queueKey], err);
+        continue;
+      }
+      this._consumeQueue(queueKey, group);
+    }
+  }
+
+  /**
+   *
+   * @param {String} key - a queue key, or undefined for every enabled queue
+   * @returns {Array} the queue keys - throws if the queue does not exist
+   */
+  _getQueueKeys(key) {
+    if (key === undefined || key === null) {
+      return Object.keys(this._queues).filter(
+        queueKey => this._queues[queueKey].options.enabled
+      );
+    }
+    if (!this._queues[key]) {
+      throw new Error(`Queue [ ${key} ] does not exist.`);
+    }
+
+    return [key];
+  }
+
+  /**
+   *
+   * @param {String} key - the queue key - item, threshold, health, or item:name
+   * @param {*} options - highWaterMark: Number - the number of messages the stream buffers before the queue is paused
+   * @returns {stream.Readable} an object mode stream of the queue's messages
+   *
+   * The queue is paused while the stream's buffer is full, and resumed once the stream is read again. The stream ends when the connector is shutdown. Item subscription streams have the subscription's messages, without the subscription name. Only available when the connector is in the same process.
+   */
+  createReadStream(key, options = {}) {
+    const source = this._getMessageSource(key);
+    const highWaterMark =
+      options.highWaterMark > 0
+        ? options.highWaterMark
+        : DEFAULT_STREAM_HIGH_WATER_MARK;
+
+    const onMessage = data => {
+      if (source.subscription) {
+        if (data.subscription !== source.subscription) return;
+        data = data.message;
+      }
+      if (!readable.push(data)) {
+        this._holdQueue(key, readable);
+      }
+    };
+    const cleanup = () => {
+      this.removeListener(source.messageEvent, onMessage);
+      this.removeListener(event.stopped, onStopped);
+      this._releaseQueue(key, readable);
+    };
+    const onStopped = () => {
+      cleanup();
+      readable.push(null);
+    };
+
+    const readable = new stream.Readable({
+      objectMode: true,
+      highWaterMark,
+      read: () => this._releaseQueue(key, readable),
+      destroy: (err, callback) => {
+        cleanup();
+        callback(err);
+      }
+    });
+
+    this.on(source.messageEvent, onMessage);
+    this.on(event.stopped, onStopped);
+
+    return readable;
+  }
+
+  /**
+   *
+   * @param {String} key - the queue key - item, threshold, health, or item:name
+   * @param {*} options - highWaterMark: Number - the number of messages that are buffered before the queue is paused
+   * @returns {*} an async iterable of the queue's messages
+   *
+   * Like createReadStream, for use with for await...of - the iteration ends when the connector is shutdown, and breaking out of it stops buffering messages
+   */
+  messages(key, options = {}) {
+    return this.createReadStream(key, options)[Symbol.asyncIterator]();
+  }
+
+  /**
+   *
+   * @param {String} key - the queue key
+   * @returns {*} messageEvent: String, subscription: String - the event the queue's messages are emitted as, and the item subscription name if the queue is an item subscription - throws if the key is not a queue key
+   */
+  _getMessageSource(key) {
+    if (queueTypes[key]) {
+      return { messageEvent: queueTypes[key].messageEvent, subscription: '' };
+    }
+    if (
+      typeof key === 'string' &&
+      key.startsWith(SUBSCRIPTION_KEY_PREFIX) &&
+      key.length > SUBSCRIPTION_KEY_PREFIX.length
+    ) {
+      return {
+        messageEvent: event.itemSubscriptionMessage,
+        subscription: key.slice(SUBSCRIPTION_KEY_PREFIX.length)
+      };
+    }
+
+    throw new Error(`Queue [ ${key} ] does not exist.`);
+  }
+
+  /**
+   *
+   * @param {String} key - the queue key
+   * @param {stream.Readable} readable - the stream whose buffer is full
+   *
+   * Pauses the queue until every stream that holds it is read again - a queue that was already paused is left alone, and is not resumed by the streams
+   */
+  _holdQueue(key, readable) {
+    let hold = this._streamHolds[key];
+
+    if (!hold) {
+      hold = this._streamHolds[key] = { streams: new Set(), paused: false };
+    }
+    hold.streams.add(readable);
+    if (hold.paused || !this._queues[key] || this._pausedQueues[key]) return;
+
+    hold.paused = true;
+    this.pause(key).catch(err => this._emitEventMessage('error', err));
+  }
+
+  /**
+   *
+   * @param {String} key - the queue key
+   * @param {stream.Readable} readable - the stream that is being read, or was closed
+   *
+   * Resumes the queue once no stream holds it, if the streams paused it
+   */
+  _releaseQueue(key, readable) {
+    const hold = this._streamHolds[key];
+
+    if (!hold || !hold.streams.delete(readable) || hold.streams.size) return;
+
+    delete this._streamHolds[key];
+    if (hold.paused && this._started) {
+      this.resume(key).catch(err => this._emitEventMessage('error', err));
+    }
+  }
+
+  /**
+   *
+   * @param {*} options - the options to change - anything not included keeps its current value
+   * @returns {*} changed: Array, applied: Array, replaced: Array, reconsumed: Array, reconnected: Boolean - what was changed and how it was applied, also emitted as an optionsUpdated event
+   *
+   * Changes the options without a shutdown and start. Tolerance options are applied right away, a queue whose filter or name changed is replaced without touching the other queues, a manualAck or prefetch change restarts the consumer of the queue, and a change to the connection options, or to the queues that are enabled, reconnects every queue. Throws a ValidationError if the options are invalid.
+   */
+  updateOptions(options = {}) {
+    const result = validateOptions(options);
+
+    if (result.errors.length) {
+      throw validation.createValidationError(result);
+    }
+    for (let warning of result.warnings) {
+      this._emitEventMessage(event.warning, warning);
+    }
+
+    const changed = Object.keys(this.options).filter(
+      opt =>
+        options[opt] !== undefined &&
+        !util.isDeepStrictEqual(options[opt], this.options[opt])
+    );
+
+    let report = {
+      changed,
+      applied: [],
+      replaced: [],
+      reconsumed: [],
+      reconnected: false
+    };
+
+    for (let opt of changed) {
+      this.options[opt] = options[opt];
+    }
+    this.options.restTls = createTlsOptions(this.options.restTls);
+    this.options.amqpTls = createTlsOptions(this.options.amqpTls);
+
+    if (this._started && changed.length) {
+      if (changed.indexOf('trackPresence') !== -1) {
+        this._presence = this.options.trackPresence
+          ? presenceTracker.createPresenceTracker()
+          : null;
+      }
+      if (changed.indexOf('dwell') !== -1) {
+        this._dwell = this.options.dwell
+          ? dwellTracker.createDwellTracker(this.options.dwell)
+          : null;
+      }
+      if (changed.indexOf('thresholdEvents') !== -1) {
+        this._thresholdCounter = this.options.thresholdEvents
+          ? thresholdEvents.createThresholdCounter(this.options.thresholdEvents)
+          : null;
+      }
+      if (changed.indexOf('readerHealth') !== -1) {
+        this._createHealthRegistry();
+      }
+      if (changed.indexOf('stateStore') !== -1) {
+        this._createStateStore();
+      }
+      if (changed.some(opt => METRICS_OPTIONS.indexOf(opt) !== -1)) {
+        this._stopMetricsServer();
+        if (this.options.metricsPort > 0) {
+          this._startMetricsServer();
+        }
+      }
+      this._applyOptions(changed, report);
+    }
+
+    this._emitEventMessage(event.optionsUpdated, report);
+
+    return report;
+  }
+
+  /**
+   *
+   * @param {Array} changed - the names of the options that changed
+   * @param {*} report - the updateOptions report to add to
+   *
+   * Compares the current queues to the queues the changed options describe, and applies the difference with as little disruption as possible
+   */
+  _applyOptions(changed, report) {
+    const structural =
+      changed.some(opt => RECONNECT_OPTIONS.indexOf(opt) !== -1) ||
+      !this._hasSameQueues();
+
+    if (structural) {
+      report.reconnected = true;
+      report.applied = Object.keys(this._queues).filter(
+        key => this._queues[key].options.enabled
+      );
+      this._reconnect(
+        changed.some(opt => NEW_SERVER_OPTIONS.indexOf(opt) !== -1)
+      );
+      return;
+    }
+
+    for (let key in this._queues) {
+      const queue = this._queues[key];
+      const group = this._getGroup(key);
+      const previous = queue.options;
+      const next = resolveQueueOptions(
+        this.options,
+        queue.type,
+        this._getSubscriptionOptions(queue)
+      );
+      const queueName =
+        next.queueName && next.queueName !== queue.queueName
+          ? next.queueName
+          : '';
+
+      queue.options = next;
+      // an empty queue name means keep the current queue, so mirror it back into the options
+      this._setQueueName(key, queue.queueName);
+
+      if (!util.isDeepStrictEqual(previous.filter, next.filter) || queueName) {
+        report.replaced.push(key);
+        this._replaceQueue(key, group, queueName);
+      } else if (
+        previous.manualAck !== next.manualAck ||
+        previous.prefetch !== next.prefetch
+      ) {
+        report.reconsumed.push(key);
+        this._reconsumeQueue(key, group);
+      } else if (
+        next.enabled &&
+        Object.keys(next).some(
+          opt =>
+            usesQueueOption(queue.type, opt) &&
+            !util.isDeepStrictEqual(previous[opt], next[opt])
+        )
+      ) {
+        report.applied.push(key);
+        if (previous.watchdogTimeout !== next.watchdogTimeout && group) {
+          this._startWatchdog(key, group);
+        }
+      }
+    }
+  }
+
+  /**
+   * Returns true if the options describe the same queues, with the same enabled flags, that the connector is consuming
+   */
+  _hasSameQueues() {
+    let keys = Object.keys(queueTypes);
+
+    for (let subscription of this.options.itemSubscriptions || []) {
+      keys.push(`${SUBSCRIPTION_KEY_PREFIX}${subscription.name}`);
+    }
+    if (
+      keys.sort().join() !==
+      Object.keys(this._queues)
+        .sort()
+        .join()
+    ) {
+      return false;
+    }
+
+    return keys.every(key => {
+      const queue = this._queues[key];
+
+      return (
+        resolveQueueOptions(
+          this.options,
+          queue.type,
+          this._getSubscriptionOptions(queue)
+        ).enabled === queue.options.enabled
+      );
+    });
+  }
+
+  /**
+   *
+   * @param {String} key - the queue key
+   * @returns {*} the connection group the queue is consumed over, or undefined when the queue is disabled
+   */
+  _getGroup(key) {
+    for (let name in this._connectionGroups) {
+      if (this._connectionGroups[name].queues.indexOf(key) !== -1) {
+        return this._connectionGroups[name];
+      }
+    }
+  }
+
+  /**
+   *
+   * @param {Boolean} forgetQueues - if true, new queues are created instead of reconnecting to the current ones
+   *
+   * Closes every connection and connects again with the current options - the stats of the queues that still exist are kept
+   */
+  async _reconnect(forgetQueues) {
+    const previousQueues = this._queues;
+
+    const errors = await this._disconnect(!forgetQueues);
+
+    for (let err of errors) {
+      this._emitEventMessage('error', err);
+    }
+    if (!this._started) return;
+
+    this._connect(previousQueues);
+  }
+
+  /**
+   *
+   * @param {*} previousQueues - the queue states of a previous connection, if their stats should be kept
+   *
+   * Creates the queue states and connection groups for the current options and calls _connectGroup() for each connection group
+   */
+  _connect(previousQueues = {}) {
+    this._createQueues();
+    for (let key in previousQueues) {
+      const queue = this._queues[key];
+      const previous = previousQueues[key];
+
+      if (queue) {
+        queue.stats = previous.stats;
+        queue.resumeAttempted = true;
+        if (previous.queueName) {
+          queue.endpoint = previous.endpoint;
+          this._setQueueName(key, previous.queueName);
+        }
+      }
+    }
+
+    const keys = Object.keys(this._queues).filter(key => {
+      const queue = this._queues[key];
+
+      queue.stats.state = queue.options.enabled
+        ? connectionState.connecting
+        : connectionState.disabled;
+
+      return queue.options.enabled;
+    });
+
+    if (!keys.length) {
+      this._emitEventMessage(event.info, 'No queues are enabled.');
+    }
+
+    this._connectionGroups = {};
+    if (this.options.sharedConnection) {
+      this._connectionGroups[SHARED_CONNECTION] = createConnectionGroup(
+        SHARED_CONNECTION,
+        'Shared',
+        keys
+      );
+    } else {
+      for (let key of keys) {
+        this._connectionGroups[key] = createConnectionGroup(
+          key,
+          this._queues[key].label,
+          [key]
+        );
+      }
+    }
+
+    for (let name in this._connectionGroups) {
+      this._connectGroup(name);
+    }
+  }
+
+  /**
+   * Starts an HTTP server that serves the connector metrics at /metrics on the metricsPort. The server only listens once the port is bound, so if the connector is shutdown, or the server is replaced, in the meantime, the server is closed as soon as it listens.
+   */
+  async _startMetricsServer() {
+    const port = this.options.metricsPort;
+    const pending = metrics.createMetricsServer(() => this.getMetrics(), {
+      port,
+      hostname: this.options.metricsHostname || undefined
+    });
+
+    this._metricsServerPending = pending;
+    try {
+      const server = await pending;
+
+      if (this._metricsServerPending !== pending) {
+        return server.close();
+      }
+      this._metricsServerPending = null;
+      this._metricsServer = server;
+      this._emitEventMessage(event.info, `Serving metrics on port ${port}.`);
+    } catch (err) {
+      if (this._metricsServerPending === pending) {
+        this._metricsServerPending = null;
+        this._emitEventMessage('error', err);
+      }
+    }
+  }
+
+  /**
+   * Closes the metrics server, if it is running, and the server that is being started, once it listens
+   */
+  _stopMetricsServer() {
+    this._metricsServerPending = null;
+    if (this._metricsServer) {
+      this._metricsServer.close();
+      this._metricsServer = null;
+    }
+  }
+
+  /**
+   * Calls requests.isServerAvailable and records how long it took, and whether it failed, for the metrics
+   */
+  async _checkServerAvailable() {
+    const begin = Date.now();
+
+    try {
+      return await requests.isServerAvailable(this.options);
+    } catch (err) {
+      this._serverCheckFailures++;
+      throw err;
+    } finally {
+      metrics.observe(this._serverHistogram, (Date.now() - begin) / 1000);
+    }
+  }
+
+  /**
+   *
+   * @param {*} event - event name
+   * @param {*} message - event message
+   *
+   * Depending on how the module is being used, the process will send the event to the parent process or emit the event to listeners
+   */
+  _emitEventMessage(event, message) {
+    if (isChildProcess) {
+      process.send({
+        event,
+        data: message
+      });
+    } else {
+      this.emit(event, message);
+    }
+  }
+
+  /**
+   * Creates the state of the item, threshold, and health queues, and of each item subscription, using the current options
+   */
+  _createQueues() {
+    this._queues = {};
+    for (let type in queueTypes) {
+      this._queues[type] = createQueueState(type);
+    }
+
+    for (let subscription of this.options.itemSubscriptions || []) {
+      const queue = createQueueState('item', subscription.name);
+
+      if (!subscription.name || this._queues[queue.key]) {
+        this._emitEventMessage(
+          'error',
+          new Error(
+            `Item subscription [ ${subscription.name} ] ignored - subscriptions need a unique name.`
+          )
+        );
+        continue;
+      }
+      this._queues[queue.key] = queue;
+    }
+
+    for (let key in this._queues) {
+      const queue = this._queues[key];
+
+      queue.options = resolveQueueOptions(
+        this.options,
+        queue.type,
+        this._getSubscriptionOptions(queue)
+      );
+      queue.queueName = queue.options.queueName;
+    }
+  }
+
+  /**
+   *
+   * @param {*} queue - the queue state
+   *
+   * Returns the entry of options.itemSubscriptions for the queue, or null if the queue is not an item subscription
+   */
+  _getSubscriptionOptions(queue) {
+    if (!queue.subscription) return null;
+
+    return (this.options.itemSubscriptions || []).find(
+      subscription => subscription.name === queue.subscription
+    );
+  }
+
+  /**
+   *
+   * @param {*} event - event name
+   * @param {*} message - event message
+   * @returns {Promise} resolves when every listener has handled the message, or rejects with the first listener error
+   *
+   * Like _emitEventMessage, but waits for the message to be handled. Same process listeners may return a Promise. When the module is run as a child process, the parent process must reply with an ack or nack command that has the ackId sent with the event.
+   */
+  _emitEventMessageForAck(event, message) {
+    if (isChildProcess) {
+      return new Promise((resolve, reject) => {
+        const ackId = this._nextAckId++;
+
+        this._pendingAcks[ackId] = { resolve, reject };
+        process.send({
+          event,
+          data: message,
+          ackId
+        });
+      });
+    }
+
+    return Promise.all(
+      this.listeners(event).map(
+        listener => new Promise(resolve => resolve(listener(message)))
+      )
+    );
+  }
+
+  /**
+   *
+   * @param {Number} ackId - the ackId sent to the parent process with the event
+   * @param {Error} err - the reason the message was not handled, if it was not
+   * @param {Boolean} requeue - overrides the requeueOnFailure option when err is defined
+   *
+   * Settles a message that is waiting for the parent process to ack or nack it
+   */
+  _settleAck(ackId, err, requeue) {
+    const pending = this._pendingAcks[ackId];
+
+    if (!pending) return;
+
+    delete this._pendingAcks[ackId];
+    if (err) {
+      err.requeue = requeue;
+      pending.reject(err);
+    } else {
+      pending.resolve();
+    }
+  }
+
+  /**
+   *
+   * @param {String} key - the queue key
+   * @param {String} queueName - the queue name, or an empty string to forget it
+   *
+   * Sets the name of the queue that will be consumed - the name is also stored in the connector's queue name option, or in the item subscription, so it can be reused
+   */
+  _setQueueName(key, queueName) {
+    const queue = this._queues[key];
+    const { queueNameOption } = queueTypes[queue.type];
+    const subscription = this._getSubscriptionOptions(queue);
+
+    queue.queueName = queueName;
+    queue.options.queueName = queueName;
+    if (subscription) {
+      subscription.queueName = queueName;
+    } else if (queueNameOption) {
+      this.options[queueNameOption] = queueName;
+    }
+  }
+
+  /**
+   *
+   * @param {Array} keys - the keys of the queues the error affects
+   * @param {*} err - the error
+   *
+   * Records the error as the last error of each queue, and emits it to listeners
+   */
+  _emitQueueError(keys, err) {
+    const lastError = {
+      message: err && err.message ? err.message : String(err),
+      time: new Date().toISOString()
+    };
+
+    for (let key of keys) {
+      this._queues[key].stats.lastError = lastError;
+    }
+    this._emitEventMessage('error', err);
+  }
+
+  /**
+   *
+   * @param {*} group - the connection group
+   * @param {String} state - one of the connectionState values
+   *
+   * Sets the connection state of each of the group's queues
+   */
+  _setGroupState(group, state) {
+    for (let key of group.queues) {
+      this._setQueueState(this._queues[key], state);
+    }
+  }
+
+  /**
+   *
+   * @param {*} queue - the queue state
+   * @param {String} state - one of the connectionState values
+   *
+   * Sets the connection state of a queue, and adds the time it was connected to its connectedMs when it stops being connected
+   */
+  _setQueueState(queue, state) {
+    const stats = queue.stats;
+
+    stats.state = state;
+    if (state !== connectionState.connected && stats.connectedSince) {
+      stats.connectedMs += Date.now() - Date.parse(stats.connectedSince);
+      stats.connectedSince = null;
+    }
+  }
+
+  /**
+   *
+   * @param {*} group - the connection group
+   *
+   * Returns the retry options of a connection group - a group with a single queue uses that queue's options, a shared group uses the connector's options
+   */
+  _getRetryOptions(group) {
+    return group.queues.length === 1
+      ? this._queues[group.queues[0]].options
+      : this.options;
+  }
+
+  /**
+   *
+   * @param {String} name - the connection group name
+   *
+   * Uses setTimeout to get another _connectGroup(name) call ready. The delay is determined by the connectionRetryPolicy option, and a gaveUp event is emitted instead once connectionRetryMaxAttempts is exceeded, which also rejects a start() promise that has not settled.
+   */
+  async _retryConnectGroup(name) {
+    const group = this._connectionGroups[name];
+
+    if (group.retrying || !this._started) return;
+
+    const retryOptions = this._getRetryOptions(group);
+    const maxAttempts = retryOptions.connectionRetryMaxAttempts;
+    const attempt = group.retryAttempts + 1;
+
+    if (maxAttempts > 0 && attempt > maxAttempts) {
+      this._setGroupState(group, connectionState.gaveUp);
+      this._emitEventMessage(event.gaveUp, {
+        queue: name,
+        attempts: group.retryAttempts
+      });
+      // the queue will never be consumed, so start() can't resolve
+      return this._failStart(
+        new Error(
+          `Gave up connecting to [ ${name} ] after ${group.retryAttempts} attempts`
+        )
+      );
+    }
+
+    const delay = retryPolicies.getRetryDelay(
+      {
+        policy: retryOptions.connectionRetryPolicy,
+        interval: Math.max(
+          MIN_CONN_RETRY,
+          retryOptions.connectionRetryInterval
+        ),
+        maxInterval: retryOptions.connectionRetryMaxInterval
+      },
+      attempt,
+      group.retryDelay
+    );
+
+    group.retrying = true;
+    group.retryAttempts = attempt;
+    group.retryDelay = delay;
+    this._setGroupState(group, connectionState.reconnecting);
+    for (let key of group.queues) {
+      this._queues[key].stats.reconnects++;
+    }
+    this._emitEventMessage(event.reconnecting, {
+      queue: name,
+      attempt,
+      delay
+    });
+
+    group.retryHandle = setTimeout(() => {
+      group.retrying = false;
+      if (group.connection) {
+        group.connection.removeAllListeners();
+      }
+      for (let key of group.queues) {
+        if (this._queues[key].channel) {
+          this._queues[key].channel.removeAllListeners();
+        }
+      }
+
+      this._connectGroup(name);
+    }, delay);
+  }
+
+  /**
+   *
+   * @param {String} name - the connection group name
+   *
+   * Connects to the ItemSense queues of a connection group using the options passed to the start() method. All of the group's queues are consumed over a single AMQP connection, with one channel per queue. When a queue has to be created, the AMQP endpoint returned by ItemSense is used for the connection.
+   */
+  async _connectGroup(name) {
+    if (!this._started) return;
+
+    const group = this._connectionGroups[name];
+    // errors are ignored once the group has been replaced or closed
+    const retry = () =>
+      this._isCurrentGroup(group) ? this._retryConnectGroup(name) : undefined;
+
+    let createdQueues = [];
+    let endpoint = null;
+
+    this._setGroupState(group, connectionState.connecting);
+
+    try {
+      await this._checkServerAvailable();
+      await this._checkServerIdentity(group);
+    } catch (err) {
+      if (requests.isUnauthorized(err)) {
+        this._failStart(err);
+      }
+      this._emitQueueError(group.queues, err);
+      return retry();
+    }
+    if (!this._isCurrentGroup(group)) return;
+
+    try {
+      for (let key of group.queues) {
+        const queue = this._queues[key];
+
+        if (!queue.queueName && !(await this._resumeQueue(key))) {
+          await this._createQueue(key);
+          createdQueues.push(key);
+        }
+        endpoint = endpoint || queue.endpoint;
+      }
+    } catch (err) {
+      if (requests.isUnauthorized(err)) {
+        this._failStart(err);
+      }
+      this._emitQueueError(group.queues, err);
+      return retry();
+    }
+
+    try {
+      group.connection = await amqp.connect(
+        ...createAmqpConnectArgs(this.options, endpoint)
+      );
+    } catch (err) {
+      if (/ACCESS.REFUSED/.test(err.message)) {
+        this._failStart(err);
+      }
+      this._emitQueueError(group.queues, err);
+      return retry();
+    }
+    if (!this._isCurrentGroup(group)) {
+      group.connection.close().catch(() => {});
+      return;
+    }
+
+    try {
+      for (let key of group.queues) {
+        const queue = this._queues[key];
+
+        queue.channel = await group.connection.createChannel();
+        queue.channel.on('error', err => {
+          this._emitQueueError([key], err);
+        });
+        if (queue.options.prefetch > 0) {
+          await queue.channel.prefetch(queue.options.prefetch);
+        }
+
+        if (createdQueues.indexOf(key) === -1) {
+          try {
+            await queue.channel.checkQueue(queue.queueName);
+          } catch (err) {
+            this._emitQueueError(
+              [key],
+              new Error(
+                `${queue.label} queue [ ${queue.queueName} ] no longer exists.`
+              )
+            );
+            // the endpoint of the new queue may differ, so start over with a new connection
+            group.connection.removeAllListeners();
+            group.connection.close().catch(() => {});
+            this._setQueueName(key, '');
+            return this._isCurrentGroup(group)
+              ? this._connectGroup(name)
+              : undefined;
+          }
+        }
+      }
+    } catch (err) {
+      this._emitQueueError(group.queues, err);
+      return retry();
+    }
+    if (!this._isCurrentGroup(group)) {
+      group.connection.close().catch(() => {});
+      return;
+    }
+
+    group.connection.on('error', err => {
+      this._emitQueueError(
+        group.queues,
+        new Error(`${group.label} queue connection interrupted.`)
+      );
+      return retry();
+    });
+    group.connection.on('close', err => {
+      // amqplib emits close after error, when the retry is already scheduled
+      if (!group.retrying) {
+        this._setGroupState(group, connectionState.disconnected);
+      }
+      if (err) {
+        for (let key of group.queues) {
+          const queue = this._queues[key];
+
+          clearTimeout(queue.reattachHandle);
+          if (this._canReattach(queue)) {
+            // keep the queue, it still has the messages published during the interruption
+            queue.reattachSince = queue.reattachSince || queue.lastActivity;
+          } else {
+            this._setQueueName(key, '');
+          }
+        }
+        this._emitEventMessage(event.amqpConnectionClosed, err);
+        this._retryConnectGroup(name);
+      } else {
+        this._emitEventMessage(
+          event.amqpConnectionClosed,
+          new Error(`${group.label} queue connection closed.`)
+        );
+      }
+    });
+
+    for (let key of group.queues) {
+      this._consumeQueue(key, group);
+    }
+  }
+
+  /**
+   *
+   * @param {String} key - the queue key
+   *
+   * Creates a new ItemSense queue with the queue's filter, and saves its name to the state store
+   */
+  async _createQueue(key) {
+    const queue = this._queues[key];
+    const { filterOption, createQueue } = queueTypes[queue.type];
+
+    let createOptions = Object.assign({}, this.options);
+
+    if (filterOption) {
+      createOptions[filterOption] = queue.options.filter;
+    }
+
+    const res = await createQueue(createOptions);
+
+    queue.endpoint = createAmqpEndpoint(this.options, res);
+    queue.reattachSince = 0;
+    this._setQueueName(key, res.queue);
+    this._saveQueue(queue, res);
+  }
+
+  /**
+   *
+   * @param {*} queue - the queue state
+   * @returns {String} the key the queue is kept under in the state store
+   */
+  _getStateKey(queue) {
+    return `${this.options.id}:${queue.key}`;
+  }
+
+  /**
+   *
+   * @param {*} queue - the queue state
+   * @param {*} res - the createQueue response
+   *
+   * Saves the name and AMQP endpoint of a created item or threshold queue, along with a hash of its filter, to the state store
+   */
+  _saveQueue(queue, res) {
+    if (!this._stateStore || !queueTypes[queue.type].queueNameOption) return;
+
+    Promise.resolve()
+      .then(() =>
+        this._stateStore.save(this._getStateKey(queue), {
+          queueName: res.queue,
+          serverUrl: res.serverUrl,
+          vhost: res.vhost,
+          filterHash: stateStore.hashFilter(queue.options.filter),
+          createdAt: new Date().toISOString()
+        })
+      )
+      .catch(err => {
+        this._emitQueueError([queue.key], err);
+      });
+  }
+
+  /**
+   *
+   * @param {String} key - the queue key
+   * @returns {Promise} resolves with true if the queue name was loaded from the state store
+   *
+   * Loads the queue a previous connector with the same id created - the stored queue is ignored when the queue's filter has changed since. The state store is only used the first time the queue is connected after start.
+   */
+  async _resumeQueue(key) {
+    const queue = this._queues[key];
+
+    if (
+      !this._stateStore ||
+      queue.resumeAttempted ||
+      !queueTypes[queue.type].queueNameOption
+    ) {
+      return false;
+    }
+    queue.resumeAttempted = true;
+
+    let stored;
+
+    try {
+      stored = await this._stateStore.load(this._getStateKey(queue));
+    } catch (err) {
+      this._emitQueueError([key], err);
+      return false;
+    }
+
+    if (
+      !stored ||
+      !stored.queueName ||
+      stored.filterHash !== stateStore.hashFilter(queue.options.filter)
+    ) {
+      return false;
+    }
+
+    queue.endpoint = createAmqpEndpoint(this.options, stored);
+    this._setQueueName(key, stored.queueName);
+    if (this._canReattach(queue)) {
+      // a queue that ItemSense stopped publishing to while the connector was away is dead
+      queue.reattachSince = Date.now();
+    }
+    this._emitEventMessage(
+      event.info,
+      `Resuming ${lowerFirst(queue.label)} queue [ ${stored.queueName} ].`
+    );
+
+    return true;
+  }
+
+  /**
+   *
+   * @param {String} key - the queue key
+   * @param {*} group - the connection group the queue belongs to
+   *
+   * Consumes messages from the queue and emits them to listeners - item subscription messages are emitted with the name of the subscription
+   */
+  _consumeQueue(key, group) {
+    const queue = this._queues[key];
+    const queueName = queue.queueName;
+    const { messageEvent, connectedEvent } = queueTypes[queue.type];
+
+    const channel = queue.channel;
+
+    if (this._pausedQueues[key]) {
+      // the queue stays connected, resume() consumes it
+      this._setQueueState(queue, connectionState.paused);
+      return this._checkStarted();
+    }
+    if (
+      this._inventory &&
+      !this._inventory.done &&
+      queueTypes[queue.type].tracksPresence
+    ) {
+      // the queue exists, so the transitions that happen while the inventory is taken wait on it
+      this._inventory.waiting[key] = group;
+      return this._takeInventory();
+    }
+
+    channel
+      .consume(queueName, msg => {
+        if (msg === null) {
+          return this._onConsumerCancelled(key, group, channel);
+        }
+        if (!queue.options.manualAck) {
+          channel.ack(msg);
+        }
+
+        queue.stats.received++;
+        queue.stats.lastMessageTime = new Date().toISOString();
+        queue.lastActivity = Date.now();
+
+        let content = msg.content.toString();
+        let json;
+
+        try {
+          json = parseMessage(queue.type, content);
+        } catch (err) {
+          return this._rejectMessage(queue, channel, msg, content, err);
+        }
+
+        const timeProperty = queueTypes[queue.type].timeProperty;
+        const reason = this._filterMessage(queue, json);
+
+        queue.stats.lastMessageAge = json[timeProperty]
+          ? Date.now() - Date.parse(json[timeProperty])
+          : null;
+
+        // a filtered health message still means the reader is talking to ItemSense
+        this._trackHealth(queue, json);
+        if (!reason || reason === filterReason.ignoreAbsent) {
+          // an ignored ABSENT message still means the item is gone
+          this._trackPresence(queue, json);
+          this._trackDwell(queue, json);
+        }
+        if (reason) {
+          queue.stats.filtered++;
+          queue.stats.filteredBy[reason]++;
+          if (queue.options.manualAck) {
+            channel.ack(msg);
+          }
+          return;
+        }
+
+        this._trackThreshold(queue, json);
+        if (queue.subscription) {
+          this._deliverMessage(
+            queue,
+            channel,
+            msg,
+            event.itemSubscriptionMessage,
+            {
+              subscription: queue.subscription,
+              message: json
+            }
+          );
+        } else {
+          this._deliverMessage(queue, channel, msg, messageEvent, json);
+        }
+      })
+      .then(res => {
+        const reattachSince = queue.reattachSince;
+
+        group.retryAttempts = 0;
+        group.retryDelay = 0;
+        queue.reattachSince = 0;
+        queue.consumerTag = res.consumerTag;
+        queue.stats.state = connectionState.connected;
+        queue.stats.connectedSince =
+          queue.stats.connectedSince || new Date().toISOString();
+        queue.lastActivity = Date.now();
+        this._startWatchdog(key, group);
+        this._checkStarted();
+        if (reattachSince) {
+          this._emitEventMessage(event.queueReattached, {
+            queue: key,
+            queueName
+          });
+          this._checkReattachedQueue(key, group, reattachSince);
+        }
+        if (queue.subscription) {
+          this._emitEventMessage(event.itemSubscriptionConnected, {
+            subscription: queue.subscription,
+            queue: queueName
+          });
+        } else {
+          this._emitEventMessage(connectedEvent, `${queueName}`);
+        }
+      })
+      .catch(err => {
+        channel.removeAllListeners();
+        this._emitQueueError([key], err);
+      });
+  }
+
+  /**
+   *
+   * @param {String} key - the queue key
+   * @param {*} group - the connection group the queue belongs to
+   * @param {*} channel - the channel of the cancelled consumer
+   *
+   * Handles a consumer the broker cancelled, e.g. because the queue was deleted. The error is recorded as the queue's lastError, and the connection group is connected again, which consumes the queue again if it still exists, or creates a new queue if it does not.
+   */
+  _onConsumerCancelled(key, group, channel) {
+    const queue = this._queues[key];
+
+    // a consumer of a closed or replaced channel was already dealt with
+    if (!this._isCurrentGroup(group) || queue.channel !== channel) return;
+
+    this._emitQueueError(
+      [key],
+      new Error(
+        `${queue.label} queue [ ${queue.queueName} ] consumer was cancelled by the server.`
+      )
+    );
+    this._setQueueState(queue, connectionState.disconnected);
+    this._reconnectGroup(group);
+  }
+
+  /**
+   * Pages through the items ItemSense knows about that match the filters of the enabled item queues and subscriptions, once per distinct filter, and emits them as an initialInventory event, or as itemSnapshot events followed by an initialInventory event, depending on the initialInventory option. An item that matches several filters is only emitted once. The item queues that are waiting for the inventory are consumed once it's taken, or once it fails.
+   */
+  async _takeInventory() {
+    const inventory = this._inventory;
+
+    if (inventory.running) return;
+    inventory.running = true;
+
+    const time = new Date().toISOString();
+
+    let filters = {};
+    let seen = {};
+    let items = this.options.initialInventory === 'snapshot' ? [] : null;
+    let count = 0;
+    let error = null;
+
+    for (let key in this._queues) {
+      const queue = this._queues[key];
+
+      if (queue.options.enabled && queueTypes[queue.type].tracksPresence) {
+        filters[stateStore.hashFilter(queue.options.filter)] =
+          queue.options.filter || {};
+      }
+    }
+
+    try {
+      for (let hash in filters) {
+        let pageMarker = '';
+
+        do {
+          let query = createItemQuery(filters[hash], {
+            pageSize: INVENTORY_PAGE_SIZE
+          });
+
+          if (pageMarker) query.pageMarker = pageMarker;
+
+          const res = await requests.showItems(this.options, query);
+
+          if (this._inventory !== inventory) return; // the connector was shutdown
+
+          for (let entry of res.items || []) {
+            if (!entry.epc || entry.zone === 'ABSENT' || seen[entry.epc]) {
+              continue;
+            }
+
+            const item = createInventoryItem(entry);
+
+            seen[entry.epc] = true;
+            count++;
+            if (this._presence) {
+              this._presence.seed(item);
+            }
+            if (items) {
+              items.push(item);
+            } else {
+              this._emitEventMessage(event.itemSnapshot, item);
+            }
+          }
+          pageMarker = res.nextPageMarker;
+        } while (pageMarker);
+      }
+    } catch (err) {
+      if (this._inventory !== inventory) return;
+      error = `Initial inventory failed: ${
+        err && err.message ? err.message : err
+      }`;
+      this._emitEventMessage('error', new Error(error));
+    }
+
+    inventory.done = true;
+    this._emitEventMessage(event.initialInventory, {
+      time,
+      count,
+      items,
+      error
+    });
+    for (let key in inventory.waiting) {
+      const group = inventory.waiting[key];
+
+      if (this._isCurrentGroup(group)) {
+        this._consumeQueue(key, group);
+      }
+    }
+    inventory.waiting = {};
+  }
+
+  /**
+   *
+   * @param {String} key - the queue key
+   * @param {*} group - the connection group the queue belongs to
+   *
+   * Checks the queue once it has been silent for watchdogTimeout milliseconds. Only the item and threshold queues, and item subscriptions, have a watchdog.
+   */
+  _startWatchdog(key, group) {
+    const queue = this._queues[key];
+    const timeout = queue.options.watchdogTimeout;
+
+    clearTimeout(queue.watchdogHandle);
+    if (!(timeout > 0) || !queueTypes[queue.type].probeQueue) return;
+
+    const check = async () => {
+      if (!this._started || queue.stats.state !== connectionState.connected) {
+        return;
+      }
+
+      const silence = Date.now() - queue.lastActivity;
+
+      if (silence < timeout) {
+        queue.watchdogHandle = setTimeout(check, timeout - silence);
+        return;
+      }
+
+      const dead = await this._probeQueue(queue, queue.lastActivity);
+
+      if (!this._started || queue.stats.state !== connectionState.connected) {
+        return;
+      }
+      if (dead) {
+        return this._recreateQueue(key, group, silence);
+      }
+
+      queue.lastActivity = Date.now();
+      queue.watchdogHandle = setTimeout(check, timeout);
+    };
+
+    queue.watchdogHandle = setTimeout(check, timeout);
+  }
+
+  /**
+   *
+   * @param {*} queue - the queue state
+   * @param {Number} since - the time, in milliseconds, to look for published data from
+   * @returns {Promise} resolves with true if ItemSense has data for the queue that was published after since - resolves with false when the server can't be reached, the connection handlers deal with that
+   */
+  async _probeQueue(queue, since) {
+    try {
+      return await queueTypes[queue.type].probeQueue(
+        this.options,
+        queue.options.filter,
+        new Date(since).toISOString()
+      );
+    } catch (err) {
+      return false;
+    }
+  }
+
+  /**
+   *
+   * @param {*} queue - the queue state
+   * @returns {Boolean} true if the queue can be consumed again after a network interruption
+   *
+   * A queue is reattached when the connector can tell whether it is dead - by comparing the server identity, or by probing the REST API for data the queue never delivered
+   */
+  _canReattach(queue) {
+    return (
+      !!queue.queueName &&
+      (typeof this.options.serverIdentity === 'function' ||
+        (this.options.reattachCheckDelay > 0 &&
+          !!queueTypes[queue.type].probeQueue))
     );
+  }
+
+  /**
+   *
+   * @param {*} group - the connection group
+   *
+   * Calls the serverIdentity option and compares the result to the identity seen when the group last connected. When it differs, ItemSense restarted, so the group's queues are forgotten and new queues are created.
+   */
+  async _checkServerIdentity(group) {
+    if (typeof this.options.serverIdentity !== 'function') return;
+
+    const identity = await this.options.serverIdentity(this.options);
+    const previousIdentity = group.serverIdentity;
+
+    group.serverIdentity = identity;
+    if (previousIdentity === undefined || previousIdentity === identity) {
+      return;
+    }
+
+    for (let key of group.queues) {
+      this._queues[key].reattachSince = 0;
+      this._setQueueName(key, '');
+    }
+    this._emitEventMessage(event.serverRestarted, {
+      queue: group.name,
+      previousIdentity,
+      identity
+    });
+  }
+
+  /**
+   *
+   * @param {String} key - the queue key
+   * @param {*} group - the connection group the queue belongs to
+   * @param {Number} since - the time, in milliseconds, of the queue's last activity before the network interruption
+   *
+   * Checks a reattached queue every reattachCheckDelay milliseconds until it delivers a message. When it has delivered nothing but ItemSense has data for it since the interruption, ItemSense restarted and the queue is replaced. A single check is not enough, since nothing may be published for a while after a restart.
+   */
+  _checkReattachedQueue(key, group, since) {
+    const queue = this._queues[key];
+    const delay = this.options.reattachCheckDelay;
+
+    clearTimeout(queue.reattachHandle);
+    if (!(delay > 0) || !queueTypes[queue.type].probeQueue) return;
+
+    const reattachedAt = queue.lastActivity;
+    const isSilent = () =>
+      this._started &&
+      queue.lastActivity === reattachedAt &&
+      queue.stats.state === connectionState.connected;
+
+    const check = async () => {
+      if (!isSilent()) return; // a message was delivered, or the queue was disconnected
+
+      const dead = await this._probeQueue(queue, since);
+
+      if (!isSilent()) return;
+      if (dead) {
+        clearTimeout(queue.watchdogHandle);
+        return this._recreateQueue(key, group, Date.now() - since);
+      }
+      queue.reattachHandle = setTimeout(check, delay);
+    };
+
+    queue.reattachHandle = setTimeout(check, delay);
+  }
+
+  /**
+   *
+   * @param {String} key - the queue key
+   * @param {*} group - the connection group the queue belongs to
+   * @param {Number} silence - how long, in milliseconds, the queue was silent
+   *
+   * Replaces a queue that ItemSense stopped publishing to with a new queue. The new queue is consumed on the same channel, and a queueRecreated event is emitted.
+   */
+  async _recreateQueue(key, group, silence) {
+    const queue = this._queues[key];
+    const previousQueueName = queue.queueName;
+
+    try {
+      await this._createQueue(key);
+      await queue.channel.cancel(queue.consumerTag);
+    } catch (err) {
+      this._emitQueueError([key], err);
+      return this._startWatchdog(key, group);
+    }
 
-    this._retryConnectHealthQueueHandle = setTimeout(() => {
-      if (this._healthQueueConnection) {
-        this._healthQueueConnection.removeAllListeners();
-      }
-      if (this._healthQueueChannel) {
-        this._healthQueueChannel.removeAllListeners();
-      }
+    queue.stats.recreated++;
+    this._emitEventMessage(event.queueRecreated, {
+      queue: key,
+      previousQueueName,
+      queueName: queue.queueName,
+      silence
+    });
+    this._consumeQueue(key, group);
+  }
+
+  /**
+   *
+   * @param {String} key - the queue key
+   * @param {*} group - the connection group the queue belongs to, or undefined when the queue is disabled
+   * @param {String} queueName - the queue to switch to, or an empty string to create a new queue with the queue's filter
+   *
+   * Switches the queue's consumer to a new queue on the same channel, or reconnects the queue's connection group to switch to an existing queue. When the queue is not being consumed, the queue is switched when it connects.
+   */
+  async _replaceQueue(key, group, queueName) {
+    const queue = this._queues[key];
+
+    if (group && queueName) {
+      // the queue may not exist, and checking it on the current channel would close the channel, so connect again instead
+      queue.reattachSince = 0;
+      this._setQueueName(key, queueName);
+      return this._reconnectGroup(group);
+    }
+    if (!group || queue.stats.state !== connectionState.connected) {
+      queue.reattachSince = 0;
+      return this._setQueueName(key, queueName);
+    }
+
+    try {
+      await this._createQueue(key);
+      await queue.channel.cancel(queue.consumerTag);
+    } catch (err) {
+      this._emitQueueError([key], err);
+      return;
+    }
 
-      this._connectHealthQueue();
-    }, retryInterval);
+    this._consumeQueue(key, group);
   }
 
   /**
-   * Connects to an ItemSense ITEM QUEUE using the options passed to the start() method
+   *
+   * @param {String} key - the queue key
+   * @param {*} group - the connection group the queue belongs to, or undefined when the queue is disabled
+   *
+   * Cancels the queue's consumer and consumes the queue again, so a manualAck or prefetch change takes effect
    */
-  async _connectItemQueue() {
-    if (!this._started) return;
+  async _reconsumeQueue(key, group) {
+    const queue = this._queues[key];
 
-    let itemQueueName = this.options.itemQueueName;
+    if (!group || queue.stats.state !== connectionState.connected) return;
 
     try {
-      await requests.isServerAvailable(this.options);
+      await queue.channel.cancel(queue.consumerTag);
+      await queue.channel.prefetch(queue.options.prefetch);
     } catch (err) {
-      this._emitEventMessage('error', err);
-      return this._retryConnectItemQueue();
+      this._emitQueueError([key], err);
+      return;
     }
-    try {
-      const heartbeat = Math.max(
-        MIN_CONN_HEARTBEAT,
-        Math.floor(this.options.connectionHeartbeatInterval * 0.001) // amqplib connection heartbeat in seconds
-      );
 
-      this._itemQueueConnection = await amqp.connect({
-        hostname: this.options.hostname,
-        vhost: '/',
-        username: this.options.username,
-        password: this.options.password,
-        heartbeat: heartbeat // seconds
-      });
-    } catch (err) {
-      this._emitEventMessage('error', err);
-      return this._retryConnectItemQueue();
+    this._consumeQueue(key, group);
+  }
+
+  /**
+   *
+   * @param {*} queue - the queue state
+   * @param {*} json - the parsed queue message
+   * @returns {String} the filterReason the message should not be sent to listeners for, or null
+   *
+   * Applies the queue's ignoreAbsent, maxObservationTimeDelta, messageFilter, and deduplicate options to a message - a messageFilter predicate or deduplicate key that throws is emitted as an error, and the message is not filtered
+   */
+  _filterMessage(queue, json) {
+    const { timeProperty, absentProperty } = queueTypes[queue.type];
+
+    if (
+      absentProperty &&
+      queue.options.ignoreAbsent &&
+      json[absentProperty] === 'ABSENT'
+    ) {
+      return filterReason.ignoreAbsent;
     }
 
-    try {
-      this._itemQueueChannel = await this._itemQueueConnection.createChannel();
-      this._itemQueueChannel.on('error', err => {
-        this._emitEventMessage('error', err);
-      });
+    if (queue.options.maxObservationTimeDelta > 0) {
+      const delta = Date.now() - Date.parse(json[timeProperty]);
+      if (delta > queue.options.maxObservationTimeDelta) {
+        return filterReason.maxObservationTimeDelta;
+      }
+    }
 
-      if (itemQueueName) {
-        try {
-          await this._itemQueueChannel.checkQueue(itemQueueName);
-        } catch (err) {
-          this._emitEventMessage(
-            'error',
-            new Error(`Item queue [ ${itemQueueName} ] no longer exists.`)
-          );
-          itemQueueName = await requests
-            .createItemQueue(this.options)
-            .then(res => res.queue);
-          this._itemQueueChannel = await this._itemQueueConnection.createChannel();
-          this._itemQueueChannel.on('error', err => {
-            this._emitEventMessage('error', err);
-          });
+    const filter = queue.options.messageFilter;
+
+    if (filter) {
+      // the filter is created again when updateOptions changes it
+      if (!queue.messageFilter || queue.messageFilter.spec !== filter) {
+        queue.messageFilter = {
+          spec: filter,
+          test: messageFilter.createMessageFilter(
+            filter,
+            queueTypes[queue.type].hasLocations
+          )
+        };
+      }
+      try {
+        if (!queue.messageFilter.test(json, queue.key)) {
+          return filterReason.messageFilter;
+        }
+      } catch (err) {
+        this._emitEventMessage(
+          'error',
+          new Error(
+            `${queue.label} queue message filter failed: ${
+              err && err.message ? err.message : err
+            }`
+          )
+        );
+      }
+    }
 
-          this.options.itemQueueName = itemQueueName;
+    const deduplicate = queue.options.deduplicate;
+
+    if (deduplicate) {
+      // the keys that were seen are forgotten when updateOptions changes the option
+      if (!queue.deduplicator || queue.deduplicator.spec !== deduplicate) {
+        queue.deduplicator = Object.assign(
+          { spec: deduplicate },
+          deduplicator.createDeduplicator(
+            deduplicate,
+            queueTypes[queue.type].deduplicateKey,
+            timeProperty
+          )
+        );
+      }
+      try {
+        if (queue.deduplicator.isDuplicate(json)) {
+          return filterReason.duplicate;
         }
-      } else {
-        itemQueueName = await requests
-          .createItemQueue(this.options)
-          .then(res => res.queue);
+      } catch (err) {
+        this._emitEventMessage(
+          'error',
+          new Error(
+            `${queue.label} queue message deduplication failed: ${
+              err && err.message ? err.message : err
+            }`
+          )
+        );
+      }
+    }
+
+    return null;
+  }
 
-        this.options.itemQueueName = itemQueueName;
+  /**
+   *
+   * @param {*} queue - the queue state
+   * @param {*} channel - the channel the message was consumed on
+   * @param {*} msg - the amqplib message
+   * @param {String} content - the queue message content
+   * @param {Error} err - the parseMessage error
+   *
+   * Counts an invalid queue message and emits an invalidMessage event instead of passing it to listeners. When the queue's manualAck option is true, the message is nacked without being requeued so the broker can dead-letter it.
+   */
+  _rejectMessage(queue, channel, msg, content, err) {
+    let counts = this._rejectedMessageCounts[queue.key];
+
+    if (!counts) {
+      counts = this._rejectedMessageCounts[queue.key] = { total: 0 };
+      for (let reason in invalidMessageReason) {
+        counts[reason] = 0;
       }
-    } catch (err) {
-      this._emitEventMessage('error', err);
-      return this._retryConnectItemQueue();
+    }
+    counts.total++;
+    counts[err.reason]++;
+    queue.stats.rejected++;
+
+    if (queue.options.manualAck) {
+      try {
+        channel.nack(msg, false, false);
+      } catch (unused) {} // the channel closed
     }
 
-    this._itemQueueConnection.on('error', err => {
-      this._emitEventMessage(
-        'error',
-        new Error(`Item queue connection interrupted.`)
-      );
-      return this._retryConnectItemQueue();
+    this._emitEventMessage(event.invalidMessage, {
+      queue: queue.key,
+      queueName: queue.queueName,
+      reason: err.reason,
+      error: err.message,
+      content,
+      rejected: counts.total
     });
-    this._itemQueueConnection.on('close', err => {
-      if (err) {
-        this.options.itemQueueName = '';
-        this._emitEventMessage(event.amqpConnectionClosed, err);
-        this._retryConnectItemQueue();
+  }
+
+  /**
+   *
+   * @param {*} queue - the queue state
+   * @param {*} json - the parsed queue message
+   *
+   * Updates where the message's item is, and emits a zoneExit and zoneEnter event when it moves to another zone - only item queue and item subscription messages are tracked, and only when trackPresence is true
+   */
+  _trackPresence(queue, json) {
+    if (!this._presence || !queueTypes[queue.type].tracksPresence) return;
+
+    for (let transition of this._presence.update(json)) {
+      if (transition.type === 'exit') {
+        this._emitEventMessage(
+          event.zoneExit,
+          Object.assign({}, transition.item, {
+            toZone: transition.toZone,
+            observationTime: transition.observationTime
+          })
+        );
       } else {
         this._emitEventMessage(
-          event.amqpConnectionClosed,
-          new Error(`Item queue connection closed.`)
+          event.zoneEnter,
+          Object.assign({}, transition.item, { fromZone: transition.fromZone })
         );
       }
-    });
+    }
+  }
 
-    this._itemQueueChannel
-      .consume(this.options.itemQueueName, msg => {
-        this._itemQueueChannel.ack(msg);
+  /**
+   *
+   * @param {*} queue - the queue state
+   * @param {*} json - the parsed queue message
+   *
+   * Emits a zoneVisitCompleted event for each zone visit of the message's item that the message completed - only item queue and item subscription messages are tracked, and only when the dwell option is set
+   */
+  _trackDwell(queue, json) {
+    if (!this._dwell || !queueTypes[queue.type].tracksPresence) return;
 
-        let content = msg.content.toString();
-        let json = JSON.parse(content);
+    for (let visit of this._dwell.update(json)) {
+      this._emitEventMessage(event.zoneVisitCompleted, visit);
+    }
+  }
 
-        if (this.options.ignoreAbsent && json.toZone === 'ABSENT') {
-          return;
-        }
+  /**
+   *
+   * @param {*} queue - the queue state
+   * @param {*} json - the parsed queue message
+   *
+   * Emits a thresholdIn or thresholdOut event for a threshold queue message that passes the minConfidence and thresholds of the thresholdEvents option, and counts it
+   */
+  _trackThreshold(queue, json) {
+    const options = this.options.thresholdEvents;
 
-        if (this.options.maxObservationTimeDelta > 0) {
-          try {
-            const delta = Date.now() - Date.parse(json.observationTime);
-            if (delta > this.options.maxObservationTimeDelta) {
-              return;
-            }
-          } catch (unused) {
-            return this._emitEventMessage(
-              'error',
-              new Error(
-                `Unable to parse queue message content as JSON ${content}`
-              )
-            );
-          }
-        }
+    if (!options || !queueTypes[queue.type].tracksThresholds) return;
 
-        this._emitEventMessage(event.itemQueueMessage, json);
-      })
-      .then(() => {
-        this._emitEventMessage(event.itemQueueConnected, `${itemQueueName}`);
-      })
-      .catch(err => {
-        this._itemQueueChannel.removeAllListeners();
-        this._emitEventMessage('error', err);
-      });
+    const transition = thresholdEvents.normalizeThresholdMessage(json);
+
+    if (!transition || !thresholdEvents.acceptTransition(options, transition)) {
+      return;
+    }
+    if (this._thresholdCounter) {
+      this._thresholdCounter.add(transition);
+    }
+    this._emitEventMessage(
+      transition.direction === 'IN' ? event.thresholdIn : event.thresholdOut,
+      transition
+    );
   }
 
   /**
-   * Connects to an ItemSense THRESHOLD QUEUE using the options passed to the start() method
+   * Creates the state store from the current stateStore option - only when the connector is started, or the option changes, so every save to a file goes through the same write chain
    */
-  async _connectThresholdQueue() {
-    if (!this._started) return;
-
-    let thresholdQueueName = this.options.thresholdQueueName;
+  _createStateStore() {
+    this._stateStore =
+      typeof this.options.stateStore === 'string'
+        ? stateStore.createFileStateStore(this.options.stateStore)
+        : this.options.stateStore;
+  }
 
-    try {
-      await requests.isServerAvailable(this.options);
-    } catch (err) {
-      this._emitEventMessage('error', err);
-      return this._retryConnectThresholdQueue();
-    }
-    try {
-      const heartbeat = Math.max(
-        MIN_CONN_HEARTBEAT,
-        Math.floor(this.options.connectionHeartbeatInterval * 0.001) // amqplib connection heartbeat in seconds
-      );
+  /**
+   * Replaces the health registry with one that uses the current readerHealth option, or none when it's null - the registry that is replaced is stopped, so it reports nothing more
+   */
+  _createHealthRegistry() {
+    const options = this.options.readerHealth;
 
-      this._thresholdQueueConnection = await amqp.connect({
-        hostname: this.options.hostname,
-        vhost: '/',
-        username: this.options.username,
-        password: this.options.password,
-        heartbeat: heartbeat // seconds
-      });
-    } catch (err) {
-      this._emitEventMessage('error', err);
-      return this._retryConnectThresholdQueue();
+    if (this._healthRegistry) {
+      this._healthRegistry.stop();
     }
+    this._healthRegistry = options
+      ? healthRegistry.createHealthRegistry(options, (name, status) =>
+          this._emitEventMessage(event[name], status)
+        )
+      : null;
+  }
 
-    try {
-      this._thresholdQueueChannel = await this._thresholdQueueConnection.createChannel();
-      this._thresholdQueueChannel.on('error', err => {
-        this._emitEventMessage('error', err);
-      });
-
-      if (thresholdQueueName) {
-        try {
-          await this._thresholdQueueChannel.checkQueue(thresholdQueueName);
-        } catch (err) {
-          this._emitEventMessage(
-            'error',
-            new Error(
-              `Threshold queue [ ${thresholdQueueName} ] no longer exists.`
-            )
-          );
-          thresholdQueueName = await requests
-            .createThresholdQueue(this.options)
-            .then(res => res.queue);
-          this._thresholdQueueChannel = await this._thresholdQueueConnection.createChannel();
-          this._thresholdQueueChannel.on('error', err => {
-            this._emitEventMessage('error', err);
-          });
+  /**
+   *
+   * @param {*} queue - the queue state
+   * @param {*} json - the parsed queue message
+   *
+   * Updates the status of the reader that sent a health queue message - only when the readerHealth option is set
+   */
+  _trackHealth(queue, json) {
+    if (!this._healthRegistry || !queueTypes[queue.type].tracksHealth) return;
 
-          this.options.thresholdQueueName = thresholdQueueName;
-        }
-      } else {
-        thresholdQueueName = await requests
-          .createThresholdQueue(this.options)
-          .then(res => res.queue);
+    this._healthRegistry.update(json);
+  }
 
-        this.options.thresholdQueueName = thresholdQueueName;
-      }
-    } catch (err) {
-      this._emitEventMessage('error', err);
-      return this._retryConnectThresholdQueue();
+  /**
+   *
+   * @param {*} queue - the queue state
+   * @param {*} channel - the channel the message was consumed on
+   * @param {*} msg - the amqplib message
+   * @param {String} messageEvent - the event to emit
+   * @param {*} data - the event data
+   *
+   * Emits a queue message to listeners. When the queue's manualAck option is true, the message is acked once the listeners have handled it, or nacked if they fail.
+   */
+  _deliverMessage(queue, channel, msg, messageEvent, data) {
+    queue.stats.emitted++;
+    if (!queue.options.manualAck) {
+      return this._emitEventMessage(messageEvent, data);
     }
 
-    this._thresholdQueueConnection.on('error', err => {
-      this._emitEventMessage(
-        'error',
-        new Error(`Threshold queue connection interrupted.`)
-      );
-      return this._retryConnectThresholdQueue();
-    });
-    this._thresholdQueueConnection.on('close', err => {
-      if (err) {
-        this.options.thresholdQueueName = '';
-        this._emitEventMessage(event.amqpConnectionClosed, err);
-        this._retryConnectThresholdQueue();
-      } else {
+    const delivery = this._emitEventMessageForAck(messageEvent, data).then(
+      () => {
+        try {
+          channel.ack(msg);
+        } catch (unused) {} // the channel closed, the message will be redelivered
+      },
+      err => {
+        const requeue =
+          err && typeof err.requeue === 'boolean'
+            ? err.requeue
+            : queue.options.requeueOnFailure;
+
         this._emitEventMessage(
-          event.amqpConnectionClosed,
-          new Error(`Threshold queue connection closed.`)
+          'error',
+          new Error(
+            `${queue.label} queue message was not acknowledged: ${
+              err && err.message ? err.message : err
+            }`
+          )
         );
+        try {
+          channel.nack(msg, false, requeue);
+        } catch (unused) {} // the channel closed, the message will be redelivered
       }
-    });
+    );
 
-    this._thresholdQueueChannel
-      .consume(this.options.thresholdQueueName, msg => {
-        this._thresholdQueueChannel.ack(msg);
+    this._pendingDeliveries.add(delivery);
+    delivery.then(() => this._pendingDeliveries.delete(delivery));
+  }
 
-        let content = msg.content.toString();
-        let json = JSON.parse(content);
+  /**
+   *
+   * @param {*} options - drainTimeout: Number - the time, in milliseconds, to wait for listeners to handle the messages they were sent before the connections are closed
+   * @returns {Promise} resolves once the AMQP channels and connections are closed
+   *
+   * Stops consuming the queues, waits up to drainTimeout milliseconds for the messages that are waiting to be acknowledged, and closes the AMQP channels and connections. Messages that are still not acknowledged are put back on their queues. Errors that occur while closing are emitted, and a stopped event is emitted once the connector is shutdown.
+   */
+  async shutdown(options = {}) {
+    const drainTimeout =
+      options.drainTimeout > 0 ? options.drainTimeout : DEFAULT_DRAIN_TIMEOUT;
 
-        if (this.options.ignoreAbsent && json.toZone === 'ABSENT') {
-          return;
-        }
+    this._started = false;
+    this._pausedQueues = {};
+    this._streamHolds = {};
+    this._inventory = null;
+    if (this._healthRegistry) {
+      this._healthRegistry.stop();
+    }
+    this._failStart(new Error('Connector shutdown'));
 
-        if (this.options.maxObservationTimeDelta > 0) {
-          try {
-            const delta = Date.now() - Date.parse(json.observationTime);
-            if (delta > this.options.maxObservationTimeDelta) {
-              return;
-            }
-          } catch (unused) {
-            return this._emitEventMessage(
-              'error',
-              new Error(
-                `Unable to parse queue message content as JSON ${content}`
-              )
-            );
-          }
-        }
+    if (drainTimeout > 0 && this._pendingDeliveries.size) {
+      await this._cancelConsumers();
+      await new Promise(resolve => {
+        const handle = setTimeout(resolve, drainTimeout);
 
-        this._emitEventMessage(event.thresholdQueueMessage, json);
-      })
-      .then(() => {
-        this._emitEventMessage(
-          event.thresholdQueueConnected,
-          `${thresholdQueueName}`
-        );
-      })
-      .catch(err => {
-        this._thresholdQueueChannel.removeAllListeners();
-        this._emitEventMessage('error', err);
+        Promise.all(Array.from(this._pendingDeliveries)).then(() => {
+          clearTimeout(handle);
+          resolve();
+        });
       });
+    }
+
+    for (let ackId in this._pendingAcks) {
+      this._settleAck(ackId, new Error('Connector shutdown'), true);
+    }
+
+    const errors = await this._disconnect(false);
+
+    this._stopMetricsServer();
+    for (let err of errors) {
+      this._emitEventMessage('error', err);
+    }
+    this._emitEventMessage(event.stopped, {
+      errors: errors.map(err => err.message)
+    });
   }
 
   /**
-   * Connects to an ItemSense HEALTH QUEUE using the options passed to the start() method
+   * Cancels the consumer of every queue that is being consumed, so no more messages are sent to listeners
    */
-  async _connectHealthQueue() {
-    if (!this._started) return;
+  async _cancelConsumers() {
+    for (let key in this._queues) {
+      const queue = this._queues[key];
 
-    let healthQueueName;
+      if (queue.stats.state !== connectionState.connected) continue;
 
-    try {
-      await requests.isServerAvailable(this.options);
-    } catch (err) {
-      this._emitEventMessage('error', err);
-      return this._retryConnectHealthQueue();
+      clearTimeout(queue.watchdogHandle);
+      try {
+        await queue.channel.cancel(queue.consumerTag);
+      } catch (unused) {} // the channel closed, there is nothing to cancel
     }
-    try {
-      const heartbeat = Math.max(
-        MIN_CONN_HEARTBEAT,
-        Math.floor(this.options.connectionHeartbeatInterval * 0.001) // amqplib connection heartbeat in seconds
-      );
+  }
 
-      this._healthQueueConnection = await amqp.connect({
-        hostname: this.options.hostname,
-        vhost: '/',
-        username: this.options.username,
-        password: this.options.password,
-        heartbeat: heartbeat // seconds
-      });
-    } catch (err) {
-      this._emitEventMessage('error', err);
-      return this._retryConnectHealthQueue();
-    }
+  /**
+   *
+   * @param {Boolean} keepQueueNames - if true, the queue names are kept so the queues can be consumed again
+   * @returns {Promise} resolves with the errors that occurred while closing - channels and connections that were already closed are not errors
+   *
+   * Closes the AMQP channels and connections of every queue
+   */
+  async _disconnect(keepQueueNames) {
+    const groups = this._connectionGroups;
+    const isClosedError = err => err && err.name === 'IllegalOperationError';
 
-    try {
-      this._healthQueueChannel = await this._healthQueueConnection.createChannel();
-      this._healthQueueChannel.on('error', err => {
-        this._emitEventMessage('error', err);
-      });
+    let errors = [];
 
-      healthQueueName = await requests
-        .createHealthQueue(this.options)
-        .then(res => res.queue);
-    } catch (err) {
-      this._emitEventMessage('error', err);
-      return this._retryConnectHealthQueue();
-    }
+    // a _connectGroup() call that is still in progress stops once its group is gone
+    this._connectionGroups = {};
+    for (let key in this._queues) {
+      const queue = this._queues[key];
+      const label = lowerFirst(queue.label);
 
-    this._healthQueueConnection.on('error', err => {
-      this._emitEventMessage(
-        'error',
-        new Error(`Health queue connection interrupted.`)
-      );
-      return this._retryConnectHealthQueue();
-    });
-    this._healthQueueConnection.on('close', err => {
-      if (err) {
-        this._emitEventMessage(event.amqpConnectionClosed, err);
-        this._retryConnectHealthQueue();
-      } else {
+      if (!keepQueueNames) {
+        this._setQueueName(key, '');
+        queue.endpoint = null;
+      }
+      clearTimeout(queue.watchdogHandle);
+      clearTimeout(queue.reattachHandle);
+      queue.reattachSince = 0;
+      if (queue.stats.connectedSince) {
+        queue.stats.connectedMs +=
+          Date.now() - Date.parse(queue.stats.connectedSince);
+        queue.stats.connectedSince = null;
+      }
+      queue.stats.state = queue.options.enabled
+        ? connectionState.disconnected
+        : connectionState.disabled;
+      if (!queue.channel) continue;
+      try {
+        this._emitEventMessage(event.info, `Closing ${label} queue channel.`);
+        queue.channel.removeAllListeners();
+        await queue.channel.close();
+      } catch (err) {
+        if (!isClosedError(err)) errors.push(err);
+      }
+      queue.channel = null;
+    }
+    for (let name in groups) {
+      const group = groups[name];
+      const label = lowerFirst(group.label);
+
+      clearTimeout(group.retryHandle);
+      group.retrying = false;
+      if (!group.connection) continue;
+      try {
         this._emitEventMessage(
-          event.amqpConnectionClosed,
-          new Error(`Health queue connection closed.`)
+          event.info,
+          `Closing ${label} queue connection.`
         );
+        group.connection.removeAllListeners();
+        await group.connection.close();
+      } catch (err) {
+        if (!isClosedError(err)) errors.push(err);
       }
-    });
-
-    this._healthQueueChannel
-      .consume(healthQueueName, msg => {
-        this._healthQueueChannel.ack(msg);
-
-        let content = msg.content.toString();
-        let json = JSON.parse(content);
+      group.connection = null;
+    }
 
-        if (this.options.ignoreAbsent && json.toZone === 'ABSENT') {
-          return;
-        }
+    return errors;
+  }
 
-        if (this.options.maxObservationTimeDelta > 0) {
-          try {
-            const delta = Date.now() - Date.parse(json.observationTime);
-            if (delta > this.options.maxObservationTimeDelta) {
-              return;
-            }
-          } catch (unused) {
-            return this._emitEventMessage(
-              'error',
-              new Error(
-                `Unable to parse queue message content as JSON ${content}`
-              )
-            );
-          }
-        }
+  /**
+   *
+   * @param {*} group - the connection group
+   *
+   * Closes the group's connection and connects it again, keeping the queue names
+   */
+  _reconnectGroup(group) {
+    clearTimeout(group.retryHandle);
+    group.retrying = false;
+    for (let key of group.queues) {
+      const queue = this._queues[key];
+
+      clearTimeout(queue.watchdogHandle);
+      clearTimeout(queue.reattachHandle);
+      if (queue.channel) {
+        queue.channel.removeAllListeners();
+      }
+    }
+    if (group.connection) {
+      group.connection.removeAllListeners();
+      group.connection.close().catch(() => {});
+      group.connection = null;
+    }
 
-        this._emitEventMessage(event.healthQueueMessage, json);
-      })
-      .then(() => {
-        this._emitEventMessage(
-          event.healthQueueConnected,
-          `${healthQueueName}`
-        );
-      })
-      .catch(err => {
-        this._healthQueueChannel.removeAllListeners();
-        this._emitEventMessage('error', err);
-      });
+    this._connectGroup(group.name);
   }
 
   /**
-   * Closes the AMQP channel and connection
+   *
+   * @param {*} group - the connection group
+   * @returns {Boolean} true if the group has not been replaced or closed since it started connecting
    */
-  async shutdown() {
-    this._started = false;
-    this.options.itemQueueName = '';
-    this.options.thresholdQueueName = '';
-    try {
-      this._emitEventMessage(event.info, 'Closing item queue channel.');
-      this._itemQueueChannel.removeAllListeners();
-      await this._itemQueueChannel.close();
-    } catch (unused) {}
-    try {
-      this._emitEventMessage(event.info, 'Closing item queue connection.');
-      this._itemQueueConnection.removeAllListeners();
-      await this._itemQueueConnection.close();
-    } catch (unused) {}
-    try {
-      this._emitEventMessage(event.info, 'Closing threshold queue channel.');
-      this._thresholdQueueChannel.removeAllListeners();
-      await this._thresholdQueueChannel.close();
-    } catch (unused) {}
-    try {
-      this._emitEventMessage(event.info, 'Closing threshold queue connection.');
-      this._thresholdQueueConnection.removeAllListeners();
-      await this._thresholdQueueConnection.close();
-    } catch (unused) {}
-    try {
-      this._emitEventMessage(event.info, 'Closing health queue channel.');
-      this._healthQueueChannel.removeAllListeners();
-      await this._healthQueueChannel.close();
-    } catch (unused) {}
-    try {
-      this._emitEventMessage(event.info, 'Closing health queue connection.');
-      this._healthQueueConnection.removeAllListeners();
-      await this._healthQueueConnection.close();
-    } catch (unused) {}
+  _isCurrentGroup(group) {
+    return this._started && this._connectionGroups[group.name] === group;
   }
 }
 
@@ -639,6 +3276,15 @@ const processInstance = isChildProcess ? new ItemSenseConnector() : null;
 module.exports = {
   event,
   createOptions,
+  createTlsOptions,
+  validateOptions,
+  retryPolicy: retryPolicies.policy,
+  serverIdentity: { runningJobs },
+  connectionState,
+  filterReason,
+  invalidMessageReason,
+  healthType: healthRegistry.healthType,
+  readerState: healthRegistry.readerState,
   createConnector: function() {
     return new ItemSenseConnector();
   }
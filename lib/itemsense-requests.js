@@ -1,35 +1,76 @@
 const http = require('http');
+const https = require('https');
+const querystring = require('querystring');
 
 const REQUEST_TIMEOUT = 5000;
+const UNAUTHORIZED = 'Unauthorized - check username and password';
 
 /**
  *
- * @param {*} connectorOptions  - hostname: String, port: Number, username: String, password: String
+ * @param {*} connectorOptions - restTls: Object
+ * @returns {Object} the http or https module depending on restTls.enabled
+ */
+function getTransport(connectorOptions) {
+  const { restTls } = connectorOptions;
+
+  return restTls && restTls.enabled ? https : http;
+}
+
+/**
+ *
+ * @param {*} connectorOptions - hostname: String, port: Number, username: String, password: String, restTls: Object
+ * @param {String} method - the HTTP method
+ * @param {String} path - the ItemSense API path
+ * @param {Object} headers - the request headers
+ * @returns {Object} options that can be passed to http.request or https.request
+ */
+function createRequestOptions(connectorOptions, method, path, headers) {
+  const { hostname, port, username, password, restTls } = connectorOptions;
+
+  let options = {
+    hostname,
+    port,
+    path,
+    method,
+    auth: `${username}:${password}`,
+    headers
+  };
+
+  if (restTls && restTls.enabled) {
+    options.ca = restTls.ca || undefined;
+    options.cert = restTls.cert || undefined;
+    options.key = restTls.key || undefined;
+    options.passphrase = restTls.passphrase || undefined;
+    options.rejectUnauthorized = restTls.rejectUnauthorized !== false;
+  }
+
+  return options;
+}
+
+/**
+ *
+ * @param {*} connectorOptions  - hostname: String, port: Number, username: String, password: String, restTls: Object
  * @returns {Promise}
  */
 function isServerAvailable(connectorOptions) {
   return new Promise((resolve, reject) => {
-    const { hostname, port, username, password } = connectorOptions;
-
-    let options = {
-      hostname,
-      port,
-      path: '/itemsense/data/v1/items/show?pageSize=1',
-      method: 'GET',
-      auth: `${username}:${password}`,
-      headers: {
+    let options = createRequestOptions(
+      connectorOptions,
+      'GET',
+      '/itemsense/data/v1/items/show?pageSize=1',
+      {
         Accept: 'application/json'
       }
-    };
+    );
 
-    let req = http.request(options, res => {
+    let req = getTransport(connectorOptions).request(options, res => {
       let body = [];
 
       res.setEncoding('utf8');
 
       res.on('end', () => {
         if (res.statusCode === 401) {
-          return reject('Unauthorized - check username and password');
+          return reject(UNAUTHORIZED);
         }
         if (res.statusCode < 200 || res.statusCode >= 300) {
           return reject(`Server returned status code ${res.statusCode}`);
@@ -57,36 +98,28 @@ function isServerAvailable(connectorOptions) {
 
 /**
  *
- * @param {*} connectorOptions - hostname: String, port: Number, username: String, password: String, itemQueueFilter: Object
+ * @param {*} connectorOptions - hostname: String, port: Number, username: String, password: String, restTls: Object, itemQueueFilter: Object
  * @returns {Promise}
  */
 function createItemQueue(connectorOptions) {
   return new Promise((resolve, reject) => {
-    const {
-      hostname,
-      port,
-      username,
-      password,
-      itemQueueFilter
-    } = connectorOptions;
+    const { itemQueueFilter } = connectorOptions;
     const payload =
       typeof itemQueueFilter === 'object'
         ? JSON.stringify(itemQueueFilter)
         : '{}';
 
-    let options = {
-      hostname,
-      port,
-      path: '/itemsense/data/v1/items/queues',
-      method: 'PUT',
-      headers: {
+    let options = createRequestOptions(
+      connectorOptions,
+      'PUT',
+      '/itemsense/data/v1/items/queues',
+      {
         'Content-Type': 'application/json',
         Accept: 'application/json'
-      },
-      auth: `${username}:${password}`
-    };
+      }
+    );
 
-    let req = http.request(options, res => {
+    let req = getTransport(connectorOptions).request(options, res => {
       let body = [];
       res.setEncoding('utf8');
 
@@ -123,27 +156,24 @@ function createItemQueue(connectorOptions) {
 
 /**
  *
- * @param {*} connectorOptions - hostname: String, port: Number, username: String, password: String, itemQueueFilter: Object
+ * @param {*} connectorOptions - hostname: String, port: Number, username: String, password: String, restTls: Object, itemQueueFilter: Object
  * @returns {Promise}
  */
 function createThresholdQueue(connectorOptions) {
   return new Promise((resolve, reject) => {
-    const { hostname, port, username, password } = connectorOptions;
     const payload = '{}';
 
-    let options = {
-      hostname,
-      port,
-      path: '/itemsense/data/v1/items/queues/threshold',
-      method: 'PUT',
-      headers: {
+    let options = createRequestOptions(
+      connectorOptions,
+      'PUT',
+      '/itemsense/data/v1/items/queues/threshold',
+      {
         'Content-Type': 'application/json',
         Accept: 'application/json'
-      },
-      auth: `${username}:${password}`
-    };
+      }
+    );
 
-    let req = http.request(options, res => {
+    let req = getTransport(connectorOptions).request(options, res => {
       let body = [];
       res.setEncoding('utf8');
 
@@ -180,27 +210,24 @@ function createThresholdQueue(connectorOptions) {
 
 /**
  *
- * @param {*} connectorOptions - hostname: String, port: Number, username: String, password: String, itemQueueFilter: Object
+ * @param {*} connectorOptions - hostname: String, port: Number, username: String, password: String, restTls: Object, itemQueueFilter: Object
  * @returns {Promise}
  */
 function createHealthQueue(connectorOptions) {
   return new Promise((resolve, reject) => {
-    const { hostname, port, username, password } = connectorOptions;
     const payload = '{}';
 
-    let options = {
-      hostname,
-      port,
-      path: '/itemsense/health/v1/events/queues',
-      method: 'PUT',
-      headers: {
+    let options = createRequestOptions(
+      connectorOptions,
+      'PUT',
+      '/itemsense/health/v1/events/queues',
+      {
         'Content-Type': 'application/json',
         Accept: 'application/json'
-      },
-      auth: `${username}:${password}`
-    };
+      }
+    );
 
-    let req = http.request(options, res => {
+    let req = getTransport(connectorOptions).request(options, res => {
       let body = [];
       res.setEncoding('utf8');
 
@@ -235,9 +262,119 @@ function createHealthQueue(connectorOptions) {
   });
 }
 
+/**
+ *
+ * @param {*} connectorOptions - hostname: String, port: Number, username: String, password: String, restTls: Object
+ * @param {String} path - the ItemSense API path, including the query string
+ * @returns {Promise} resolves with the parsed response body
+ */
+function getJson(connectorOptions, path) {
+  return new Promise((resolve, reject) => {
+    let options = createRequestOptions(connectorOptions, 'GET', path, {
+      Accept: 'application/json'
+    });
+
+    let req = getTransport(connectorOptions).request(options, res => {
+      let body = [];
+      res.setEncoding('utf8');
+
+      res.on('data', chunk => {
+        body.push(chunk);
+      });
+
+      res.on('end', () => {
+        if (res.statusCode === 401) {
+          return reject(UNAUTHORIZED);
+        }
+        if (res.statusCode < 200 || res.statusCode >= 300) {
+          return reject(`Server responded with status code ${res.statusCode}`);
+        }
+
+        try {
+          resolve(JSON.parse(body.join('')));
+        } catch (err) {
+          reject(err);
+        }
+      });
+    });
+
+    req.setTimeout(REQUEST_TIMEOUT, () => {
+      reject('Server connection timeout');
+    });
+
+    req.on('error', err => {
+      reject(err.message);
+    });
+
+    req.end();
+  });
+}
+
+/**
+ *
+ * @param {*} connectorOptions - hostname: String, port: Number, username: String, password: String, restTls: Object
+ * @param {*} query - the query parameters, e.g. fromTime, pageSize, pageMarker, zoneNames
+ * @returns {Promise} resolves with { items, nextPageMarker }
+ */
+function showItems(connectorOptions, query = {}) {
+  return getJson(
+    connectorOptions,
+    `/itemsense/data/v1/items/show?${querystring.stringify(query)}`
+  );
+}
+
+/**
+ *
+ * @param {*} connectorOptions - hostname: String, port: Number, username: String, password: String, restTls: Object
+ * @param {*} query - the query parameters, e.g. fromTime, pageSize, zoneTransitionsOnly, fromZone, toZone
+ * @returns {Promise} resolves with { history, nextPageMarker }
+ */
+function showItemHistory(connectorOptions, query = {}) {
+  return getJson(
+    connectorOptions,
+    `/itemsense/data/v1/items/show/history?${querystring.stringify(query)}`
+  );
+}
+
+/**
+ *
+ * @param {*} connectorOptions - hostname: String, port: Number, username: String, password: String, restTls: Object
+ * @param {*} query - the query parameters, e.g. fromTime, pageSize, pageMarker
+ * @returns {Promise} resolves with { transitions, nextPageMarker }
+ */
+function showThresholdTransitions(connectorOptions, query = {}) {
+  return getJson(
+    connectorOptions,
+    `/itemsense/data/v1/items/show/transitions?${querystring.stringify(query)}`
+  );
+}
+
+/**
+ *
+ * @param {*} connectorOptions - hostname: String, port: Number, username: String, password: String, restTls: Object
+ * @returns {Promise} resolves with the ItemSense jobs, each with an id and a status
+ */
+function showJobs(connectorOptions) {
+  return getJson(connectorOptions, '/itemsense/control/v1/jobs/show');
+}
+
+/**
+ *
+ * @param {*} err - the reason a request was rejected
+ * @returns {Boolean} true if ItemSense rejected the username and password
+ */
+function isUnauthorized(err) {
+  return err === UNAUTHORIZED || /status code 401$/.test(String(err));
+}
+
 module.exports = {
   createItemQueue,
   createThresholdQueue,
   createHealthQueue,
-  isServerAvailable
+  isServerAvailable,
+  showItems,
+  showItemHistory,
+  showThresholdTransitions,
+  showJobs,
+  isUnauthorized
 };
@@ -0,0 +1,155 @@
+'use strict';
+
+const validation = require('./options-validation');
+
+/**
+ * The message properties the allow and deny lists of a message filter are checked against
+ */
+const LIST_PROPERTIES = {
+  zones: 'toZone',
+  floors: 'toFloor',
+  facilities: 'toFacility'
+};
+
+const stringOrStrings = validation.anyOf(
+  validation.string(),
+  validation.arrayOf(validation.string())
+);
+
+const listRules = validation.object({
+  allow: validation.arrayOf(validation.string()),
+  deny: validation.arrayOf(validation.string())
+});
+
+/**
+ * Validates a message filter - everything but predicate can be serialized, so a filter can be sent to a child process
+ */
+const messageFilterRules = validation.object({
+  epcPrefix: validation.anyOf(
+    validation.string({ pattern: /^[0-9A-Fa-f]*$/ }),
+    validation.arrayOf(validation.string({ pattern: /^[0-9A-Fa-f]*$/ }))
+  ),
+  epcPattern: validation.anyOf(
+    validation.refine(validation.string({ nonEmpty: true }), (value, path) => {
+      try {
+        new RegExp(value);
+        return [];
+      } catch (err) {
+        return [`${path} must be a valid regular expression: ${err.message}`];
+      }
+    }),
+    (value, path) =>
+      value instanceof RegExp ? [] : [`${path} must be a RegExp`]
+  ),
+  zones: listRules,
+  floors: listRules,
+  facilities: listRules,
+  jobId: stringOrStrings,
+  minDistance: validation.number({ min: 0 }),
+  predicate: validation.func()
+});
+
+/**
+ *
+ * @param {*} value - a String or an Array of Strings
+ * @returns {Array} the value as an Array
+ */
+function toArray(value) {
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ *
+ * @param {*} message - an item or threshold queue message
+ * @returns {Number} how far the item moved in X and Y, or NaN if the message does not have both positions
+ */
+function getDistance(message) {
+  const coordinates = [message.fromX, message.fromY, message.toX, message.toY];
+
+  if (coordinates.some(value => typeof value !== 'number')) {
+    return NaN;
+  }
+
+  return Math.sqrt(
+    Math.pow(message.toX - message.fromX, 2) +
+      Math.pow(message.toY - message.fromY, 2)
+  );
+}
+
+/**
+ *
+ * @param {*} filter - the message filter - see messageFilterRules
+ * @param {Boolean} hasLocations - false if the messages don't have a zone, floor, and facility, so the allow and deny lists are skipped
+ * @returns {Function} called with (message, key), returns true if the message passes every rule of the filter
+ *
+ * Every rule has to pass, and a rule that is not defined always passes. The allow and deny lists are checked against the message's toZone, toFloor, and toFacility - a message without the property does not pass an allow list. Threshold messages have a toZone of IN or OUT, so they are filtered with hasLocations false. A message without both positions always passes minDistance. The predicate is called last, and only in the process the filter was created in.
+ */
+function createMessageFilter(filter, hasLocations = true) {
+  let rules = [];
+
+  if (!filter) {
+    return () => true;
+  }
+
+  if (filter.epcPrefix !== undefined) {
+    const prefixes = toArray(filter.epcPrefix).map(prefix =>
+      prefix.toUpperCase()
+    );
+
+    rules.push(message => {
+      const epc = String(message.epc || '').toUpperCase();
+
+      return prefixes.some(prefix => epc.startsWith(prefix));
+    });
+  }
+  if (filter.epcPattern !== undefined) {
+    const pattern =
+      filter.epcPattern instanceof RegExp
+        ? new RegExp(filter.epcPattern.source, filter.epcPattern.flags)
+        : new RegExp(filter.epcPattern);
+
+    rules.push(message => {
+      // a global or sticky pattern keeps its position between tests
+      pattern.lastIndex = 0;
+      return pattern.test(String(message.epc || ''));
+    });
+  }
+  for (let list in hasLocations ? LIST_PROPERTIES : {}) {
+    const property = LIST_PROPERTIES[list];
+    const { allow, deny } = filter[list] || {};
+
+    if (allow) {
+      rules.push(
+        message =>
+          message[property] !== undefined &&
+          message[property] !== null &&
+          allow.indexOf(String(message[property])) !== -1
+      );
+    }
+    if (deny) {
+      rules.push(message => deny.indexOf(String(message[property])) === -1);
+    }
+  }
+  if (filter.jobId !== undefined) {
+    const jobIds = toArray(filter.jobId);
+
+    rules.push(message => jobIds.indexOf(message.jobId) !== -1);
+  }
+  if (filter.minDistance > 0) {
+    rules.push(message => {
+      const distance = getDistance(message);
+
+      return isNaN(distance) || distance >= filter.minDistance;
+    });
+  }
+  if (typeof filter.predicate === 'function') {
+    rules.push((message, key) => Boolean(filter.predicate(message, key)));
+  }
+
+  return (message, key) => rules.every(rule => rule(message, key));
+}
+
+module.exports = {
+  messageFilterRules,
+  createMessageFilter
+};
@@ -0,0 +1,241 @@
+'use strict';
+
+const http = require('http');
+
+const METRIC_PREFIX = 'itemsense_connector';
+const METRICS_PATH = '/metrics';
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+/**
+ * The upper bounds, in seconds, of the server availability check duration histogram buckets
+ */
+const DURATION_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5];
+
+/**
+ * @returns {*} an empty histogram that can be passed to observe
+ */
+function createHistogram() {
+  let histogram = { count: 0, sum: 0, buckets: {} };
+
+  for (let le of DURATION_BUCKETS) {
+    histogram.buckets[le] = 0;
+  }
+
+  return histogram;
+}
+
+/**
+ *
+ * @param {*} histogram - the result of a createHistogram call
+ * @param {Number} seconds - the observed duration
+ */
+function observe(histogram, seconds) {
+  histogram.count++;
+  histogram.sum += seconds;
+  for (let le of DURATION_BUCKETS) {
+    if (seconds <= le) {
+      histogram.buckets[le]++;
+    }
+  }
+}
+
+/**
+ *
+ * @param {String} value - a label value
+ * @returns {String} the value escaped for the Prometheus text format
+ */
+function escapeLabel(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/\n/g, '\\n')
+    .replace(/"/g, '\\"');
+}
+
+/**
+ *
+ * @param {*} labels - label names and values
+ * @returns {String} the labels in the Prometheus text format
+ */
+function formatLabels(labels) {
+  const pairs = Object.keys(labels).map(
+    name => `${name}="${escapeLabel(labels[name])}"`
+  );
+
+  return `{${pairs.join(',')}}`;
+}
+
+/**
+ *
+ * @param {*} status - the result of a connector getStatus call
+ * @param {*} serverHistogram - the server availability check duration histogram
+ * @returns {String} the connector metrics in the Prometheus text format
+ */
+function formatMetrics(status, serverHistogram) {
+  const now = Date.now();
+  const connector = { connector: status.id };
+
+  let lines = [];
+
+  function metric(name, type, help, samples) {
+    lines.push(`# HELP ${METRIC_PREFIX}_${name} ${help}`);
+    lines.push(`# TYPE ${METRIC_PREFIX}_${name} ${type}`);
+    for (let sample of samples) {
+      lines.push(
+        `${METRIC_PREFIX}_${sample.name || name}${formatLabels(
+          Object.assign({}, connector, sample.labels)
+        )} ${sample.value}`
+      );
+    }
+  }
+
+  function perQueue(getValue) {
+    return Object.keys(status.queues).map(queue => ({
+      labels: { queue },
+      value: getValue(status.queues[queue])
+    }));
+  }
+
+  metric('up', 'gauge', 'Whether the connector is started', [
+    { labels: {}, value: status.started ? 1 : 0 }
+  ]);
+  metric(
+    'queue_connected',
+    'gauge',
+    'Whether the queue is being consumed',
+    perQueue(queue => (queue.state === 'connected' ? 1 : 0))
+  );
+  metric(
+    'messages_received_total',
+    'counter',
+    'Messages received from the queue',
+    perQueue(queue => queue.received)
+  );
+
+  let filtered = [];
+
+  for (let queue in status.queues) {
+    for (let reason in status.queues[queue].filteredBy) {
+      filtered.push({
+        labels: { queue, reason },
+        value: status.queues[queue].filteredBy[reason]
+      });
+    }
+  }
+  metric(
+    'messages_filtered_total',
+    'counter',
+    'Messages that were not sent to listeners, by filter',
+    filtered
+  );
+  metric(
+    'messages_rejected_total',
+    'counter',
+    'Invalid messages received from the queue',
+    perQueue(queue => queue.rejected)
+  );
+  metric(
+    'messages_emitted_total',
+    'counter',
+    'Messages sent to listeners',
+    perQueue(queue => queue.emitted)
+  );
+  metric(
+    'message_age_seconds',
+    'gauge',
+    'Age of the last message received, relative to its observation time',
+    perQueue(queue =>
+      queue.lastMessageAge === null ? 'NaN' : queue.lastMessageAge / 1000
+    )
+  );
+  metric(
+    'reconnect_attempts_total',
+    'counter',
+    'Attempts to reconnect to the queue',
+    perQueue(queue => queue.reconnects)
+  );
+  metric(
+    'connected_seconds_total',
+    'counter',
+    'Time spent consuming the queue',
+    perQueue(queue => {
+      let connectedMs = queue.connectedMs;
+
+      if (queue.connectedSince) {
+        connectedMs += now - Date.parse(queue.connectedSince);
+      }
+
+      return connectedMs / 1000;
+    })
+  );
+
+  let buckets = DURATION_BUCKETS.map(le => ({
+    name: 'server_available_duration_seconds_bucket',
+    labels: { le },
+    value: serverHistogram.buckets[le]
+  }));
+
+  buckets.push({
+    name: 'server_available_duration_seconds_bucket',
+    labels: { le: '+Inf' },
+    value: serverHistogram.count
+  });
+  buckets.push({
+    name: 'server_available_duration_seconds_sum',
+    labels: {},
+    value: serverHistogram.sum
+  });
+  buckets.push({
+    name: 'server_available_duration_seconds_count',
+    labels: {},
+    value: serverHistogram.count
+  });
+  metric(
+    'server_available_duration_seconds',
+    'histogram',
+    'Duration of the ItemSense server availability checks',
+    buckets
+  );
+  metric(
+    'server_available_failures_total',
+    'counter',
+    'ItemSense server availability checks that failed',
+    [{ labels: {}, value: status.server.failures }]
+  );
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ *
+ * @param {Function} getMetrics - returns the metrics in the Prometheus text format
+ * @param {*} options - port: Number, hostname: String
+ * @returns {Promise} resolves with the listening http.Server
+ *
+ * Creates an HTTP server that serves the metrics at /metrics
+ */
+function createMetricsServer(getMetrics, options) {
+  return new Promise((resolve, reject) => {
+    const server = http.createServer((req, res) => {
+      if (req.method !== 'GET' || req.url.split('?')[0] !== METRICS_PATH) {
+        res.statusCode = 404;
+        return res.end();
+      }
+
+      res.setHeader('Content-Type', CONTENT_TYPE);
+      res.end(getMetrics());
+    });
+
+    server.once('error', reject);
+    server.listen(options.port, options.hostname, () => {
+      server.removeListener('error', reject);
+      resolve(server);
+    });
+  });
+}
+
+module.exports = {
+  createHistogram,
+  observe,
+  formatMetrics,
+  createMetricsServer
+};
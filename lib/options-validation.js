@@ -0,0 +1,259 @@
+'use strict';
+
+/**
+ * Validators are functions that take (value, path) and return an Array of problems - an empty Array means the value is valid
+ */
+
+/**
+ *
+ * @param {*} value - the value to describe
+ * @returns {String} a short description of the value for use in problems
+ */
+function describe(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'an Array';
+  return typeof value === 'string' ? `'${value}'` : String(value);
+}
+
+/**
+ *
+ * @param {*} constraints - nonEmpty: Boolean, pattern: RegExp
+ * @returns {Function} a validator for String values
+ */
+function string(constraints = {}) {
+  return (value, path) => {
+    if (typeof value !== 'string') {
+      return [`${path} must be a String, received ${describe(value)}`];
+    }
+    if (constraints.nonEmpty && !value) {
+      return [`${path} must not be empty`];
+    }
+    if (constraints.pattern && !constraints.pattern.test(value)) {
+      return [`${path} must match ${constraints.pattern}, received '${value}'`];
+    }
+    return [];
+  };
+}
+
+/**
+ *
+ * @param {*} constraints - min: Number, max: Number, integer: Boolean
+ * @returns {Function} a validator for Number values
+ */
+function number(constraints = {}) {
+  return (value, path) => {
+    if (typeof value !== 'number' || isNaN(value)) {
+      return [`${path} must be a Number, received ${describe(value)}`];
+    }
+    if (constraints.integer && !Number.isInteger(value)) {
+      return [`${path} must be an integer, received ${value}`];
+    }
+    if (constraints.min !== undefined && value < constraints.min) {
+      return [`${path} must be at least ${constraints.min}, received ${value}`];
+    }
+    if (constraints.max !== undefined && value > constraints.max) {
+      return [`${path} must be at most ${constraints.max}, received ${value}`];
+    }
+    return [];
+  };
+}
+
+/**
+ * @returns {Function} a validator for Boolean values
+ */
+function boolean() {
+  return (value, path) =>
+    typeof value === 'boolean'
+      ? []
+      : [`${path} must be a Boolean, received ${describe(value)}`];
+}
+
+/**
+ * @returns {Function} a validator for Function values
+ */
+function func() {
+  return (value, path) =>
+    typeof value === 'function'
+      ? []
+      : [`${path} must be a Function, received ${describe(value)}`];
+}
+
+/**
+ *
+ * @param {Array} values - the allowed values
+ * @returns {Function} a validator for values that must be one of the allowed values
+ */
+function oneOf(values) {
+  return (value, path) =>
+    values.indexOf(value) !== -1
+      ? []
+      : [
+          `${path} must be one of ${values.join(', ')}, received ${describe(
+            value
+          )}`
+        ];
+}
+
+/**
+ *
+ * @param {...Function} validators - the validators to try
+ * @returns {Function} a validator that passes when any of the validators passes
+ */
+function anyOf(...validators) {
+  return (value, path) => {
+    let problems = [];
+
+    for (let validator of validators) {
+      const result = validator(value, path);
+
+      if (!result.length) return [];
+      problems = problems.concat(result);
+    }
+
+    return [problems.join(' or ')];
+  };
+}
+
+/**
+ * @returns {Function} a validator for Buffer values
+ */
+function buffer() {
+  return (value, path) =>
+    Buffer.isBuffer(value)
+      ? []
+      : [`${path} must be a Buffer, received ${describe(value)}`];
+}
+
+/**
+ *
+ * @param {*} rules - a validator for each property the object can have
+ * @param {*} constraints - allowUnknown: Boolean - unknown properties are problems unless allowUnknown is true
+ * @returns {Function} a validator for Object values
+ */
+function object(rules, constraints = {}) {
+  return (value, path) => {
+    if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+      return [`${path} must be an Object, received ${describe(value)}`];
+    }
+
+    let problems = [];
+
+    for (let prop in value) {
+      const propPath = path ? `${path}.${prop}` : prop;
+
+      if (!rules[prop]) {
+        if (!constraints.allowUnknown) {
+          problems.push(`${propPath} is not a known property`);
+        }
+        continue;
+      }
+      if (value[prop] !== undefined) {
+        problems = problems.concat(rules[prop](value[prop], propPath));
+      }
+    }
+
+    return problems;
+  };
+}
+
+/**
+ *
+ * @param {Function} validator - the validator for each entry
+ * @returns {Function} a validator for Array values
+ */
+function arrayOf(validator) {
+  return (value, path) => {
+    if (!Array.isArray(value)) {
+      return [`${path} must be an Array, received ${describe(value)}`];
+    }
+
+    let problems = [];
+
+    value.forEach((entry, index) => {
+      problems = problems.concat(validator(entry, `${path}[${index}]`));
+    });
+
+    return problems;
+  };
+}
+
+/**
+ *
+ * @param {Function} validator - the validator for values that are not null
+ * @returns {Function} a validator that also allows null
+ */
+function nullable(validator) {
+  return (value, path) => (value === null ? [] : validator(value, path));
+}
+
+/**
+ *
+ * @param {Function} validator - the validator to run first
+ * @param {Function} check - called with (value, path) when the validator passes, and returns an Array of problems
+ * @returns {Function} a validator that adds a custom check to another validator
+ */
+function refine(validator, check) {
+  return (value, path) => {
+    const problems = validator(value, path);
+
+    return problems.length ? problems : check(value, path);
+  };
+}
+
+/**
+ *
+ * @param {*} rules - a validator for each known option
+ * @param {*} options - the options to validate
+ * @returns {*} errors: Array, warnings: Array - unknown options are warnings, everything else is an error
+ */
+function validate(rules, options) {
+  let result = { errors: [], warnings: [] };
+
+  if (options === null || typeof options !== 'object') {
+    result.errors.push(
+      `options must be an Object, received ${describe(options)}`
+    );
+    return result;
+  }
+
+  for (let opt in options) {
+    if (!rules[opt]) {
+      result.warnings.push(`${opt} is not a known option and will be ignored`);
+    } else if (options[opt] !== undefined) {
+      result.errors = result.errors.concat(rules[opt](options[opt], opt));
+    }
+  }
+
+  return result;
+}
+
+/**
+ *
+ * @param {*} result - the result of a validate call
+ * @returns {Error} an Error that lists every problem - the problems are also available as the errors and warnings properties
+ */
+function createValidationError(result) {
+  let err = new Error(`Invalid options:\n  - ${result.errors.join('\n  - ')}`);
+
+  err.name = 'ValidationError';
+  err.errors = result.errors;
+  err.warnings = result.warnings;
+
+  return err;
+}
+
+module.exports = {
+  string,
+  number,
+  boolean,
+  func,
+  oneOf,
+  anyOf,
+  buffer,
+  object,
+  arrayOf,
+  refine,
+  nullable,
+  validate,
+  createValidationError
+};
@@ -0,0 +1,187 @@
+'use strict';
+
+const ABSENT = 'ABSENT';
+
+/**
+ *
+ * @param {*} value - a message property
+ * @returns {*} the value, or null if it's undefined
+ */
+function orNull(value) {
+  return value === undefined ? null : value;
+}
+
+/**
+ *
+ * @param {*} message - an item queue message
+ * @returns {*} where the message says the item is now
+ */
+function createItem(message) {
+  return {
+    epc: message.epc,
+    zone: message.toZone,
+    floor: orNull(message.toFloor),
+    facility: orNull(message.toFacility),
+    x: orNull(message.toX),
+    y: orNull(message.toY),
+    observationTime: message.observationTime
+  };
+}
+
+/**
+ * @returns {*} a presence tracker - update(message) applies an item queue message and returns the zone transitions it caused
+ *
+ * Keeps where each EPC is right now, and the EPCs in each zone. An item that goes ABSENT is removed. A message that was observed before the last message for the same EPC is ignored, so messages that are delivered out of order don't move an item back.
+ */
+function createPresenceTracker() {
+  let items = new Map();
+  let zones = new Map();
+
+  function add(item) {
+    items.set(item.epc, item);
+    if (!zones.has(item.zone)) {
+      zones.set(item.zone, new Set());
+    }
+    zones.get(item.zone).add(item.epc);
+  }
+
+  function remove(item) {
+    const epcs = zones.get(item.zone);
+
+    items.delete(item.epc);
+    if (epcs) {
+      epcs.delete(item.epc);
+      if (!epcs.size) zones.delete(item.zone);
+    }
+  }
+
+  return {
+    /**
+     *
+     * @param {*} message - an item queue message
+     * @returns {Array} the transitions - { type: 'exit', item, toZone } and { type: 'enter', item, fromZone } - an exit always comes before the enter it leads to
+     */
+    update(message) {
+      const previous = items.get(message.epc);
+
+      if (
+        previous &&
+        Date.parse(message.observationTime) <
+          Date.parse(previous.observationTime)
+      ) {
+        return [];
+      }
+
+      if (message.toZone === ABSENT) {
+        if (!previous) return [];
+        remove(previous);
+        return [
+          {
+            type: 'exit',
+            item: previous,
+            toZone: ABSENT,
+            observationTime: message.observationTime
+          }
+        ];
+      }
+
+      const item = createItem(message);
+      let transitions = [];
+
+      if (
+        previous &&
+        previous.zone === item.zone &&
+        previous.facility === item.facility
+      ) {
+        add(item);
+        return transitions;
+      }
+      if (previous) {
+        remove(previous);
+        transitions.push({
+          type: 'exit',
+          item: previous,
+          toZone: item.zone,
+          observationTime: item.observationTime
+        });
+      }
+      add(item);
+      transitions.push({
+        type: 'enter',
+        item,
+        fromZone: previous ? previous.zone : ABSENT,
+        observationTime: item.observationTime
+      });
+
+      return transitions;
+    },
+
+    /**
+     *
+     * @param {*} item - epc, zone, floor, facility, x, y, and observationTime - where an item was when the connector started
+     *
+     * Adds an item without a zone transition, unless a message for it was observed since
+     */
+    seed(item) {
+      const previous = items.get(item.epc);
+
+      if (
+        previous &&
+        Date.parse(item.observationTime) <= Date.parse(previous.observationTime)
+      ) {
+        return;
+      }
+      if (previous) remove(previous);
+      add(Object.assign({}, item));
+    },
+
+    /**
+     *
+     * @param {String} epc - the EPC of an item
+     * @returns {*} where the item is, or null if it's not present
+     */
+    getItem(epc) {
+      const item = items.get(epc);
+
+      return item ? Object.assign({}, item) : null;
+    },
+
+    /**
+     *
+     * @param {String} zone - the name of a zone
+     * @returns {Array} the items in the zone
+     */
+    getZoneContents(zone) {
+      return Array.from(zones.get(zone) || [], epc =>
+        Object.assign({}, items.get(epc))
+      );
+    },
+
+    /**
+     * @returns {*} the number of items in each zone, by zone name
+     */
+    getZoneCounts() {
+      let counts = {};
+
+      for (let [zone, epcs] of zones) {
+        counts[zone] = epcs.size;
+      }
+
+      return counts;
+    },
+
+    /**
+     * @returns {*} time: String, items: Array - every item that is present, in a form that can be serialized as JSON
+     */
+    getSnapshot() {
+      return {
+        time: new Date().toISOString(),
+        items: Array.from(items.values(), item => Object.assign({}, item))
+      };
+    }
+  };
+}
+
+module.exports = {
+  createPresenceTracker
+};
@@ -0,0 +1,77 @@
+'use strict';
+
+const policy = {
+  fixed: 'fixed',
+  exponential: 'exponential',
+  decorrelatedJitter: 'decorrelatedJitter'
+};
+
+/**
+ *
+ * @param {Number} interval - the base delay in milliseconds
+ * @returns {Number} the delay in milliseconds
+ */
+function fixed(interval) {
+  return interval;
+}
+
+/**
+ *
+ * @param {Number} interval - the base delay in milliseconds
+ * @param {Number} maxInterval - the maximum delay in milliseconds
+ * @param {Number} attempt - the attempt number, starting at 1
+ * @returns {Number} the delay in milliseconds - doubles with every attempt
+ */
+function exponential(interval, maxInterval, attempt) {
+  return Math.min(maxInterval, interval * Math.pow(2, attempt - 1));
+}
+
+/**
+ *
+ * @param {Number} interval - the base delay in milliseconds
+ * @param {Number} maxInterval - the maximum delay in milliseconds
+ * @param {Number} previousDelay - the delay used for the previous attempt, or 0
+ * @returns {Number} a random delay between interval and 3 times the previous delay
+ */
+function decorrelatedJitter(interval, maxInterval, previousDelay) {
+  const upper = Math.max(interval, (previousDelay || interval) * 3);
+
+  return Math.min(
+    maxInterval,
+    Math.floor(interval + Math.random() * (upper - interval))
+  );
+}
+
+/**
+ *
+ * @param {*} retryOptions - policy: String|Function, interval: Number, maxInterval: Number
+ * @param {Number} attempt - the attempt number, starting at 1
+ * @param {Number} previousDelay - the delay used for the previous attempt, or 0
+ * @returns {Number} the delay in milliseconds before the next attempt
+ *
+ * When policy is a Function, it is called with (attempt, previousDelay, retryOptions) and should return the delay - the interval is used when it returns anything other than a finite Number
+ */
+function getRetryDelay(retryOptions, attempt, previousDelay) {
+  const { interval } = retryOptions;
+  const maxInterval = Math.max(interval, retryOptions.maxInterval);
+
+  switch (retryOptions.policy) {
+    case policy.exponential:
+      return exponential(interval, maxInterval, attempt);
+    case policy.decorrelatedJitter:
+      return decorrelatedJitter(interval, maxInterval, previousDelay);
+    default:
+      if (typeof retryOptions.policy === 'function') {
+        const delay = retryOptions.policy(attempt, previousDelay, retryOptions);
+
+        // a policy that returns something other than a number of milliseconds would retry right away, or never
+        return Number.isFinite(delay) ? Math.max(interval, delay) : interval;
+      }
+      return fixed(interval);
+  }
+}
+
+module.exports = {
+  policy,
+  getRetryDelay
+};
@@ -0,0 +1,145 @@
+'use strict';
+
+const fs = require('fs');
+const util = require('util');
+const crypto = require('crypto');
+
+const readFile = util.promisify(fs.readFile);
+const writeFile = util.promisify(fs.writeFile);
+const rename = util.promisify(fs.rename);
+const open = util.promisify(fs.open);
+const close = util.promisify(fs.close);
+const stat = util.promisify(fs.stat);
+const unlink = util.promisify(fs.unlink);
+
+const LOCK_RETRY_INTERVAL = 20;
+const LOCK_STALE_TIMEOUT = 10000; // a lock this old was left behind by a process that died while it saved
+
+/**
+ *
+ * @param {*} value - the value to serialize
+ * @returns {String} JSON with the object keys sorted, so equal values always serialize the same way
+ */
+function stableStringify(value) {
+  if (value === null || typeof value !== 'object') {
+    return JSON.stringify(value);
+  }
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+
+  const pairs = Object.keys(value)
+    .filter(key => value[key] !== undefined)
+    .sort()
+    .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+
+  return `{${pairs.join(',')}}`;
+}
+
+/**
+ *
+ * @param {*} filter - a queue filter
+ * @returns {String} a hash of the filter that only changes when the filter does
+ */
+function hashFilter(filter) {
+  return crypto
+    .createHash('sha1')
+    .update(stableStringify(filter || {}))
+    .digest('hex');
+}
+
+/**
+ *
+ * @param {Error} err - the error of a file system call
+ *
+ * Rethrows the error, unless it's because the file does not exist
+ */
+function ignoreMissing(err) {
+  if (err.code !== 'ENOENT') throw err;
+}
+
+/**
+ *
+ * @param {String} lockPath - the path of the lock file
+ * @returns {Promise} resolves once the lock file was created by this call
+ *
+ * Creating the file fails if it already exists, so only one store, in any process, holds the lock at a time. A lock file older than LOCK_STALE_TIMEOUT is removed, so a process that died while it held the lock does not block the others forever.
+ */
+async function acquireLock(lockPath) {
+  for (;;) {
+    try {
+      return await close(await open(lockPath, 'wx'));
+    } catch (err) {
+      if (err.code !== 'EEXIST') throw err;
+    }
+    try {
+      const lock = await stat(lockPath);
+
+      if (Date.now() - lock.mtimeMs > LOCK_STALE_TIMEOUT) {
+        await unlink(lockPath).catch(ignoreMissing);
+        continue;
+      }
+    } catch (err) {
+      ignoreMissing(err); // the lock was released, try again right away
+      continue;
+    }
+    await new Promise(resolve => setTimeout(resolve, LOCK_RETRY_INTERVAL));
+  }
+}
+
+/**
+ *
+ * @param {String} path - the path of the JSON file the state is kept in
+ * @returns {*} a state store - load(key) resolves with the value saved for the key, or undefined, and save(key, value) resolves once the value is written
+ *
+ * The file is read on every load, and replaced on every save. A save holds a lock file next to the state file while it reads, changes, and replaces it, and writes to a temporary file of its own, so stores in several connectors and processes can share the file as long as the connectors have different ids.
+ */
+function createFileStateStore(path) {
+  const lockPath = `${path}.lock`;
+
+  let writing = Promise.resolve();
+
+  function readState() {
+    return readFile(path, 'utf8').then(JSON.parse, err => {
+      ignoreMissing(err);
+      return {};
+    });
+  }
+
+  async function writeState(key, value) {
+    const tmpPath = `${path}.${process.pid}.${crypto
+      .randomBytes(4)
+      .toString('hex')}.tmp`;
+
+    await acquireLock(lockPath);
+    try {
+      const state = await readState();
+
+      state[key] = value;
+      await writeFile(tmpPath, JSON.stringify(state, null, 2));
+      await rename(tmpPath, path);
+    } catch (err) {
+      await unlink(tmpPath).catch(() => {});
+      throw err;
+    } finally {
+      await unlink(lockPath).catch(() => {});
+    }
+  }
+
+  return {
+    load(key) {
+      return readState().then(state => state[key]);
+    },
+    save(key, value) {
+      // saves of the same store are chained, so they don't wait on each other's lock
+      writing = writing.catch(() => {}).then(() => writeState(key, value));
+
+      return writing;
+    }
+  };
+}
+
+module.exports = {
+  hashFilter,
+  createFileStateStore
+};
@@ -0,0 +1,158 @@
+'use strict';
+
+const validation = require('./options-validation');
+
+const IN = 'IN';
+const OUT = 'OUT';
+const DEFAULT_MIN_CONFIDENCE = 0;
+const DEFAULT_BUCKET_INTERVAL = 60000;
+const DEFAULT_BUCKETS = 60;
+
+/**
+ * Validates the thresholdEvents option
+ */
+const thresholdEventRules = validation.object({
+  minConfidence: validation.number({ min: 0, max: 1 }),
+  thresholds: validation.arrayOf(validation.string({ nonEmpty: true })),
+  bucketInterval: validation.number({ min: 1000 }),
+  buckets: validation.number({ integer: true, min: 1 })
+});
+
+/**
+ *
+ * @param {*} message - a threshold queue message
+ * @returns {*} epc, threshold, thresholdId, direction, confidence, jobId, and observationTime - or null if the message does not say which way the item crossed
+ *
+ * The direction is the message's toZone, IN or OUT, or the opposite of its fromZone when toZone is missing
+ */
+function normalizeThresholdMessage(message) {
+  let direction = message.toZone;
+
+  if (direction !== IN && direction !== OUT) {
+    if (message.fromZone === IN) direction = OUT;
+    else if (message.fromZone === OUT) direction = IN;
+    else return null;
+  }
+
+  return {
+    epc: message.epc,
+    threshold: message.threshold === undefined ? null : message.threshold,
+    thresholdId: message.thresholdId === undefined ? null : message.thresholdId,
+    direction,
+    confidence:
+      typeof message.confidence === 'number' ? message.confidence : null,
+    jobId: message.jobId === undefined ? null : message.jobId,
+    observationTime: message.observationTime
+  };
+}
+
+/**
+ *
+ * @param {*} options - minConfidence: Number, thresholds: Array - see thresholdEventRules
+ * @param {*} transition - the result of a normalizeThresholdMessage call
+ * @returns {Boolean} true if the transition has at least minConfidence, and crossed one of the thresholds
+ *
+ * A transition without a confidence always passes minConfidence
+ */
+function acceptTransition(options, transition) {
+  const minConfidence =
+    options.minConfidence > 0 ? options.minConfidence : DEFAULT_MIN_CONFIDENCE;
+
+  if (transition.confidence !== null && transition.confidence < minConfidence) {
+    return false;
+  }
+
+  return (
+    !options.thresholds ||
+    options.thresholds.indexOf(transition.threshold) !== -1
+  );
+}
+
+/**
+ *
+ * @param {*} options - bucketInterval: Number, buckets: Number - see thresholdEventRules
+ * @returns {*} a threshold counter - add(transition) counts a normalized transition in the bucket of its observationTime
+ *
+ * Each threshold keeps the in and out counts of its last buckets, each bucketInterval milliseconds long, and its totals since the counter was created. Buckets are aligned to multiples of bucketInterval, and only the buckets within buckets * bucketInterval of the latest observation of any threshold are returned, so a quiet threshold's counts age out. A transition older than a threshold's oldest bucket is only counted in the totals.
+ */
+function createThresholdCounter(options) {
+  const bucketInterval =
+    options.bucketInterval > 0
+      ? options.bucketInterval
+      : DEFAULT_BUCKET_INTERVAL;
+  const maxBuckets = options.buckets > 0 ? options.buckets : DEFAULT_BUCKETS;
+
+  let thresholds = new Map();
+  let latest = 0;
+
+  return {
+    /**
+     *
+     * @param {*} transition - the result of a normalizeThresholdMessage call
+     */
+    add(transition) {
+      const name = String(transition.threshold);
+      const key = transition.direction === IN ? 'in' : 'out';
+      const time = Date.parse(transition.observationTime);
+      const start = time - (time % bucketInterval);
+
+      let counts = thresholds.get(name);
+
+      if (!counts) {
+        counts = { in: 0, out: 0, buckets: [] };
+        thresholds.set(name, counts);
+      }
+      counts[key]++;
+      if (isNaN(start)) return;
+      latest = Math.max(latest, start);
+
+      let buckets = counts.buckets;
+      let index = buckets.findIndex(bucket => bucket.start >= start);
+
+      if (index !== -1 && buckets[index].start === start) {
+        buckets[index][key]++;
+        return;
+      }
+      if (index === -1) index = buckets.length;
+      if (index === 0 && buckets.length >= maxBuckets) return;
+
+      buckets.splice(index, 0, { start, in: 0, out: 0 });
+      buckets[index][key]++;
+      if (buckets.length > maxBuckets) {
+        buckets.shift();
+      }
+    },
+
+    /**
+     * @returns {*} in, out, and buckets - { start, in, out } from oldest to newest - by threshold name
+     */
+    getCounts() {
+      const oldest = latest - (maxBuckets - 1) * bucketInterval;
+
+      let result = {};
+
+      for (let [name, counts] of thresholds) {
+        result[name] = {
+          in: counts.in,
+          out: counts.out,
+          buckets: counts.buckets
+            .filter(bucket => bucket.start >= oldest)
+            .map(bucket => ({
+              start: new Date(bucket.start).toISOString(),
+              in: bucket.in,
+              out: bucket.out
+            }))
+        };
+      }
+
+      return result;
+    }
+  };
+}
+
+module.exports = {
+  thresholdEventRules,
+  normalizeThresholdMessage,
+  acceptTransition,
+  createThresholdCounter
+};
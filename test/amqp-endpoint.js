@@ -0,0 +1,99 @@
+'use strict';
+
+const assert = require('assert');
+const { createConnectorStub } = require('./helpers/connector-stub');
+
+const ITEM_ONLY = {
+  queues: { threshold: { enabled: false }, health: { enabled: false } }
+};
+
+/**
+ *
+ * @param {String} serverUrl - the serverUrl the stand in ItemSense returns for created queues
+ * @param {*} options - the connector options
+ * @returns {Promise} resolves with the url and socket options the connector passed to amqp.connect
+ */
+async function connectArgs(serverUrl, options) {
+  const stub = createConnectorStub();
+  const connector = stub.iqc.createConnector();
+
+  stub.serverUrl = serverUrl;
+  await connector.start(
+    Object.assign({ hostname: 'itemsense.example' }, ITEM_ONLY, options)
+  );
+  await connector.shutdown();
+
+  return stub.connections[0].args;
+}
+
+module.exports = {
+  async 'the broker, port, and vhost of the serverUrl are used'() {
+    const [amqpUrl, socketOptions] = await connectArgs(
+      'amqp://broker.example:5673/site%2F1',
+      {
+        username: 'user',
+        password: 'secret',
+        connectionHeartbeatInterval: 20000
+      }
+    );
+
+    assert.deepStrictEqual(amqpUrl, {
+      protocol: 'amqp',
+      hostname: 'broker.example',
+      port: 5673,
+      vhost: 'site/1',
+      username: 'user',
+      password: 'secret',
+      heartbeat: 20
+    });
+    assert.deepStrictEqual(socketOptions, {});
+  },
+
+  async 'a loopback serverUrl uses the hostname option'() {
+    const [amqpUrl] = await connectArgs('amqp://localhost:5672/%2F', {});
+
+    assert.strictEqual(amqpUrl.hostname, 'itemsense.example');
+    assert.strictEqual(amqpUrl.port, 5672);
+    assert.strictEqual(amqpUrl.vhost, '/');
+  },
+
+  async 'with amqpTls, the port of an amqp serverUrl is not used'() {
+    const [amqpUrl, socketOptions] = await connectArgs(
+      'amqp://broker.example:5672/%2F',
+      { amqpTls: { enabled: true, rejectUnauthorized: false } }
+    );
+
+    assert.strictEqual(amqpUrl.protocol, 'amqps');
+    assert.strictEqual(amqpUrl.port, 5671);
+    assert.strictEqual(socketOptions.servername, 'broker.example');
+    assert.strictEqual(socketOptions.rejectUnauthorized, false);
+  },
+
+  async 'with amqpTls, the port of an amqps serverUrl is used'() {
+    const [amqpUrl] = await connectArgs('amqps://broker.example:5675/%2F', {
+      amqpTls: { enabled: true }
+    });
+
+    assert.strictEqual(amqpUrl.protocol, 'amqps');
+    assert.strictEqual(amqpUrl.port, 5675);
+  },
+
+  async 'without amqpTls, the port of an amqps serverUrl is not used'() {
+    const [amqpUrl] = await connectArgs('amqps://broker.example:5675/%2F', {});
+
+    assert.strictEqual(amqpUrl.protocol, 'amqp');
+    assert.strictEqual(amqpUrl.port, 5672);
+  },
+
+  async 'amqpHostname, amqpPort, and amqpVhost take precedence over the serverUrl'() {
+    const [amqpUrl] = await connectArgs('amqp://broker.example:5673/site', {
+      amqpHostname: 'nat.example',
+      amqpPort: 15672,
+      amqpVhost: 'other'
+    });
+
+    assert.strictEqual(amqpUrl.hostname, 'nat.example');
+    assert.strictEqual(amqpUrl.port, 15672);
+    assert.strictEqual(amqpUrl.vhost, 'other');
+  }
+};
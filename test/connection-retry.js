@@ -0,0 +1,71 @@
+'use strict';
+
+const assert = require('assert');
+const {
+  createConnectorStub,
+  waitFor,
+  recordEvents
+} = require('./helpers/connector-stub');
+
+/**
+ *
+ * @param {Array} recorded - the events a recordEvents call recorded
+ * @param {String} queue - the queue the events are about
+ * @returns {Array} the queue's reconnecting and gaveUp events
+ */
+function retryEvents(recorded, queue) {
+  return recorded.filter(
+    e =>
+      (e.name === 'reconnecting' || e.name === 'gaveUp') &&
+      e.data.queue === queue
+  );
+}
+
+module.exports = {
+  async 'a queue that keeps failing emits reconnecting for each attempt, then gaveUp'() {
+    const stub = createConnectorStub();
+    const connector = stub.iqc.createConnector();
+    const recorded = recordEvents(connector, ['reconnecting', 'gaveUp']);
+
+    stub.serverDown = Infinity;
+    connector.start({
+      connectionRetryInterval: 1000,
+      connectionRetryMaxAttempts: 1
+    });
+    await waitFor(() => retryEvents(recorded, 'item').length === 2, 3000);
+    await connector.shutdown();
+
+    assert.deepStrictEqual(retryEvents(recorded, 'item'), [
+      {
+        name: 'reconnecting',
+        data: { queue: 'item', attempt: 1, delay: 1000 }
+      },
+      { name: 'gaveUp', data: { queue: 'item', attempts: 1 } }
+    ]);
+  },
+
+  async 'the attempts start over once a queue is consumed'() {
+    const stub = createConnectorStub();
+    const connector = stub.iqc.createConnector();
+    const recorded = recordEvents(connector, [
+      'reconnecting',
+      'itemQueueConnected'
+    ]);
+
+    stub.failConnects = 1;
+    connector.start({ connectionRetryInterval: 1000 });
+    await waitFor(() => recorded.some(e => e.name === 'itemQueueConnected'));
+
+    // the connection of the item queue is the last one, because it failed first
+    stub.connections[stub.connections.length - 1].emit(
+      'error',
+      new Error('connection reset')
+    );
+    await connector.shutdown();
+
+    assert.deepStrictEqual(
+      retryEvents(recorded, 'item').map(e => e.data.attempt),
+      [1, 1]
+    );
+  }
+};
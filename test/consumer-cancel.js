@@ -0,0 +1,46 @@
+'use strict';
+
+const assert = require('assert');
+const { waitFor, startItemQueue } = require('./helpers/connector-stub');
+const { itemMessage } = require('./helpers/messages');
+
+module.exports = {
+  async 'a queue whose consumer the broker cancelled is consumed again'() {
+    const { stub, connector, recorded, queueName } = await startItemQueue({}, [
+      'itemQueueMessage'
+    ]);
+
+    stub.cancelConsumers(queueName);
+    await waitFor(() => stub.connections.length === 2);
+    await waitFor(() => stub.consumerOf(queueName));
+    stub.deliver(queueName, itemMessage('E1'));
+
+    const status = connector.getStatus().queues.item;
+
+    await connector.shutdown();
+
+    assert.strictEqual(stub.queues.length, 1);
+    assert.strictEqual(stub.connections[0].closed, true);
+    assert.strictEqual(status.state, 'connected');
+    assert.strictEqual(
+      status.lastError.message,
+      `Item queue [ ${queueName} ] consumer was cancelled by the server.`
+    );
+    assert.ok(recorded.some(e => e.name === 'itemQueueMessage'));
+  },
+
+  async 'a queue that was deleted is replaced with a new queue'() {
+    const { stub, connector, recorded, queueName } = await startItemQueue();
+
+    stub.missingQueues.push(queueName);
+    stub.cancelConsumers(queueName);
+    await waitFor(() => stub.queues.length === 2);
+    await waitFor(() => stub.consumerOf(stub.queues[1].queueName));
+    await connector.shutdown();
+
+    assert.deepStrictEqual(
+      recorded.filter(e => e.name === 'itemQueueConnected').map(e => e.data),
+      [queueName, stub.queues[1].queueName]
+    );
+  }
+};
@@ -0,0 +1,107 @@
+'use strict';
+
+const assert = require('assert');
+const deduplicator = require('../lib/deduplicator');
+const { startItemQueue } = require('./helpers/connector-stub');
+const { itemMessage } = require('./helpers/messages');
+
+const KEY = ['epc', 'toZone'];
+
+module.exports = {
+  'a repeat within the window is a duplicate, and does not move the window'() {
+    const dedup = deduplicator.createDeduplicator(
+      { window: 10000 },
+      KEY,
+      'observationTime'
+    );
+
+    assert.strictEqual(dedup.isDuplicate(itemMessage('E1', 'A', 0)), false);
+    assert.strictEqual(dedup.isDuplicate(itemMessage('E1', 'A', 6)), true);
+    assert.strictEqual(dedup.isDuplicate(itemMessage('E1', 'A', 10)), true);
+    // 11 seconds after the first message, even though the last repeat was 1 second ago
+    assert.strictEqual(dedup.isDuplicate(itemMessage('E1', 'A', 11)), false);
+  },
+
+  'messages with a different key are not duplicates'() {
+    const dedup = deduplicator.createDeduplicator({}, KEY, 'observationTime');
+
+    assert.strictEqual(dedup.isDuplicate(itemMessage('E1', 'A', 0)), false);
+    assert.strictEqual(dedup.isDuplicate(itemMessage('E1', 'B', 0)), false);
+    assert.strictEqual(dedup.isDuplicate(itemMessage('E2', 'A', 0)), false);
+  },
+
+  'an out of order message within the window is still a duplicate'() {
+    const dedup = deduplicator.createDeduplicator(
+      { window: 10000 },
+      KEY,
+      'observationTime'
+    );
+
+    assert.strictEqual(dedup.isDuplicate(itemMessage('E1', 'A', 30)), false);
+    assert.strictEqual(dedup.isDuplicate(itemMessage('E1', 'A', 25)), true);
+    assert.strictEqual(dedup.isDuplicate(itemMessage('E1', 'A', 10)), false);
+  },
+
+  'the key that was seen the longest time ago is evicted after maxKeys'() {
+    const dedup = deduplicator.createDeduplicator(
+      { window: 60000, maxKeys: 2 },
+      KEY,
+      'observationTime'
+    );
+
+    dedup.isDuplicate(itemMessage('E1', 'A', 0));
+    dedup.isDuplicate(itemMessage('E2', 'A', 1));
+    // a duplicate counts as seen, so E2 is now the oldest key
+    assert.strictEqual(dedup.isDuplicate(itemMessage('E1', 'A', 2)), true);
+    dedup.isDuplicate(itemMessage('E3', 'A', 3));
+
+    assert.strictEqual(dedup.isDuplicate(itemMessage('E1', 'A', 4)), true);
+    assert.strictEqual(dedup.isDuplicate(itemMessage('E2', 'A', 5)), false);
+  },
+
+  'a key Function replaces the key properties'() {
+    const dedup = deduplicator.createDeduplicator(
+      { key: msg => msg.epc.slice(0, 2) },
+      KEY,
+      'observationTime'
+    );
+
+    assert.strictEqual(dedup.isDuplicate(itemMessage('E1', 'A', 0)), false);
+    assert.strictEqual(dedup.isDuplicate(itemMessage('E1XX', 'B', 1)), true);
+  },
+
+  'a window of 0 only drops messages with the same time'() {
+    const dedup = deduplicator.createDeduplicator(
+      { window: 0 },
+      KEY,
+      'observationTime'
+    );
+
+    assert.strictEqual(dedup.isDuplicate(itemMessage('E1', 'A', 0)), false);
+    assert.strictEqual(dedup.isDuplicate(itemMessage('E1', 'A', 0)), true);
+    assert.strictEqual(dedup.isDuplicate(itemMessage('E1', 'A', 1)), false);
+  },
+
+  async 'the connector drops duplicates, and counts them'() {
+    const { stub, connector, recorded, queueName } = await startItemQueue(
+      { deduplicate: { window: 10000 } },
+      ['itemQueueMessage']
+    );
+
+    stub.deliver(queueName, itemMessage('E1', 'A', 0));
+    stub.deliver(queueName, itemMessage('E1', 'A', 5));
+    stub.deliver(queueName, itemMessage('E1', 'B', 5));
+
+    const stats = connector.getStatus().queues.item;
+
+    await connector.shutdown();
+
+    assert.deepStrictEqual(
+      recorded
+        .filter(e => e.name === 'itemQueueMessage')
+        .map(e => e.data.toZone),
+      ['A', 'B']
+    );
+    assert.strictEqual(stats.filteredBy.duplicate, 1);
+  }
+};
@@ -0,0 +1,185 @@
+'use strict';
+
+const assert = require('assert');
+const dwellTracker = require('../lib/dwell-tracker');
+const { startItemQueue } = require('./helpers/connector-stub');
+const { time, itemMessage } = require('./helpers/messages');
+
+/**
+ *
+ * @param {Array} visits - the visits returned by update
+ * @returns {Array} [zone, entry seconds, exit seconds] of each visit
+ */
+function summarize(visits) {
+  const start = Date.parse(time(0));
+
+  return visits.map(visit => [
+    visit.zone,
+    (Date.parse(visit.entry) - start) / 1000,
+    (Date.parse(visit.exit) - start) / 1000
+  ]);
+}
+
+module.exports = {
+  'without minDwell a visit is completed as soon as the item moves'() {
+    const tracker = dwellTracker.createDwellTracker({});
+
+    assert.deepStrictEqual(tracker.update(itemMessage('E1', 'A', 0)), []);
+    assert.deepStrictEqual(tracker.update(itemMessage('E1', 'A', 5)), []);
+
+    const visits = tracker.update(itemMessage('E1', 'B', 10));
+
+    assert.deepStrictEqual(summarize(visits), [['A', 0, 10]]);
+    assert.strictEqual(visits[0].epc, 'E1');
+    assert.strictEqual(visits[0].duration, 10000);
+  },
+
+  'a visit is completed once the item has stayed away for minDwell'() {
+    const tracker = dwellTracker.createDwellTracker({ minDwell: 5000 });
+
+    tracker.update(itemMessage('E1', 'A', 0));
+    assert.deepStrictEqual(tracker.update(itemMessage('E1', 'B', 10)), []);
+    assert.deepStrictEqual(tracker.update(itemMessage('E1', 'B', 14)), []);
+    // any later observation moves the clock, even for another item
+    assert.deepStrictEqual(
+      summarize(tracker.update(itemMessage('E2', 'C', 15))),
+      [['A', 0, 10]]
+    );
+  },
+
+  'an item that flickers back before minDwell continues its visit'() {
+    const tracker = dwellTracker.createDwellTracker({ minDwell: 5000 });
+
+    tracker.update(itemMessage('E1', 'A', 0));
+    tracker.update(itemMessage('E1', 'B', 10));
+    assert.deepStrictEqual(tracker.update(itemMessage('E1', 'A', 12)), []);
+    assert.deepStrictEqual(tracker.update(itemMessage('E2', 'C', 30)), []);
+
+    tracker.update(itemMessage('E1', 'B', 40));
+    assert.deepStrictEqual(
+      summarize(tracker.update(itemMessage('E1', 'B', 45))),
+      [['A', 0, 40]]
+    );
+    assert.deepStrictEqual(Object.keys(tracker.getStats()), ['A']);
+  },
+
+  'a visit shorter than minDwell between two zones is never reported'() {
+    const tracker = dwellTracker.createDwellTracker({ minDwell: 5000 });
+
+    tracker.update(itemMessage('E1', 'A', 0));
+    tracker.update(itemMessage('E1', 'B', 10));
+    assert.deepStrictEqual(
+      summarize(tracker.update(itemMessage('E1', 'C', 12))),
+      [['A', 0, 10]]
+    );
+    assert.deepStrictEqual(tracker.update(itemMessage('E1', 'C', 100)), []);
+    assert.deepStrictEqual(Object.keys(tracker.getStats()), ['A']);
+  },
+
+  'ABSENT ends a visit, and the item starts a new one when it comes back'() {
+    const tracker = dwellTracker.createDwellTracker({ minDwell: 5000 });
+
+    tracker.update(itemMessage('E1', 'A', 0));
+    assert.deepStrictEqual(tracker.update(itemMessage('E1', 'ABSENT', 10)), []);
+    assert.deepStrictEqual(
+      summarize(tracker.update(itemMessage('E2', 'C', 15))),
+      [['A', 0, 10]]
+    );
+
+    tracker.update(itemMessage('E1', 'A', 20));
+    tracker.update(itemMessage('E1', 'B', 30));
+    assert.deepStrictEqual(
+      summarize(tracker.update(itemMessage('E1', 'B', 35))),
+      [['A', 20, 30]]
+    );
+  },
+
+  'an item that is ABSENT for less than minDwell never left'() {
+    const tracker = dwellTracker.createDwellTracker({ minDwell: 5000 });
+
+    tracker.update(itemMessage('E1', 'A', 0));
+    tracker.update(itemMessage('E1', 'ABSENT', 10));
+    assert.deepStrictEqual(tracker.update(itemMessage('E1', 'A', 12)), []);
+    assert.deepStrictEqual(tracker.update(itemMessage('E2', 'C', 30)), []);
+  },
+
+  'an item that is first seen ABSENT has no visit'() {
+    const tracker = dwellTracker.createDwellTracker({});
+
+    assert.deepStrictEqual(tracker.update(itemMessage('E1', 'ABSENT', 0)), []);
+    assert.deepStrictEqual(tracker.update(itemMessage('E1', 'A', 10)), []);
+    assert.deepStrictEqual(
+      summarize(tracker.update(itemMessage('E1', 'B', 20))),
+      [['A', 10, 20]]
+    );
+  },
+
+  'a message observed before the last one for the item is ignored'() {
+    const tracker = dwellTracker.createDwellTracker({});
+
+    tracker.update(itemMessage('E1', 'A', 0));
+    tracker.update(itemMessage('E1', 'A', 20));
+    assert.deepStrictEqual(tracker.update(itemMessage('E1', 'B', 10)), []);
+    assert.deepStrictEqual(
+      summarize(tracker.update(itemMessage('E1', 'B', 30))),
+      [['A', 0, 30]]
+    );
+  },
+
+  'messages without a time or zone are ignored'() {
+    const tracker = dwellTracker.createDwellTracker({});
+
+    assert.deepStrictEqual(tracker.update({ epc: 'E1', toZone: 'A' }), []);
+    assert.deepStrictEqual(
+      tracker.update({ epc: 'E1', observationTime: time(0) }),
+      []
+    );
+    assert.deepStrictEqual(tracker.getStats(), {});
+  },
+
+  'getStats only keeps the visits completed within the window'() {
+    const tracker = dwellTracker.createDwellTracker({ window: 60000 });
+
+    tracker.update(itemMessage('E1', 'A', 0));
+    tracker.update(itemMessage('E1', 'B', 10));
+    tracker.update(itemMessage('E2', 'A', 20));
+    tracker.update(itemMessage('E2', 'B', 50));
+
+    assert.deepStrictEqual(tracker.getStats(), {
+      A: {
+        visits: 2,
+        averageDuration: 20000,
+        minDuration: 10000,
+        maxDuration: 30000
+      }
+    });
+
+    tracker.update(itemMessage('E3', 'C', 71));
+    assert.strictEqual(tracker.getStats().A.visits, 1);
+
+    tracker.update(itemMessage('E3', 'C', 120));
+    assert.deepStrictEqual(tracker.getStats(), {});
+  },
+
+  async 'the connector emits zoneVisitCompleted, and keeps the dwell statistics'() {
+    const { stub, connector, recorded, queueName } = await startItemQueue(
+      { dwell: { minDwell: 0 } },
+      ['zoneVisitCompleted']
+    );
+
+    stub.deliver(queueName, itemMessage('E1', 'A', 0));
+    stub.deliver(queueName, itemMessage('E1', 'B', 10));
+
+    const stats = connector.getDwellStats();
+
+    await connector.shutdown();
+
+    assert.deepStrictEqual(
+      summarize(
+        recorded.filter(e => e.name === 'zoneVisitCompleted').map(e => e.data)
+      ),
+      [['A', 0, 10]]
+    );
+    assert.strictEqual(stats.A.visits, 1);
+  }
+};
@@ -0,0 +1,243 @@
+'use strict';
+
+const assert = require('assert');
+const healthRegistry = require('../lib/health-registry');
+const {
+  createConnectorStub,
+  waitFor,
+  recordEvents
+} = require('./helpers/connector-stub');
+
+const { healthType, readerState, classifyHealthMessage } = healthRegistry;
+
+/**
+ *
+ * @param {Number} ms - the time to wait
+ * @returns {Promise} resolves after ms milliseconds
+ */
+function wait(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ *
+ * @param {*} options - the registry options
+ * @returns {*} registry: the health registry, transitions: Array - [event, readerName] of each reported transition
+ */
+function createRegistry(options) {
+  let transitions = [];
+  const registry = healthRegistry.createHealthRegistry(
+    options,
+    (name, status) => transitions.push([name, status.readerName])
+  );
+
+  return { registry, transitions };
+}
+
+module.exports = {
+  'messages are classified by type, and unknown types are UNCLASSIFIED'() {
+    assert.strictEqual(
+      classifyHealthMessage({ type: 'CONNECTION' }),
+      healthType.CONNECTION
+    );
+    assert.strictEqual(
+      classifyHealthMessage({ type: 'clock_sync' }),
+      healthType.CLOCK_SYNC
+    );
+    assert.strictEqual(
+      classifyHealthMessage({ type: 'REBOOT' }),
+      healthType.UNCLASSIFIED
+    );
+    assert.strictEqual(classifyHealthMessage({}), healthType.UNCLASSIFIED);
+  },
+
+  'the status of each reader has its last message, fault, and counts'() {
+    const { registry } = createRegistry({ debounce: 0, recoveryTimeout: 0 });
+
+    registry.update({
+      readerName: 'r1',
+      type: 'SOFTWARE_FAULT',
+      code: 'TASK',
+      eventTime: '2026-01-01T00:00:00.000Z'
+    });
+    registry.update({ readerName: 'r1', type: 'LIFECYCLE' });
+    registry.update({ type: 'CONNECTION' });
+
+    const health = registry.getReaderHealth();
+
+    assert.deepStrictEqual(Object.keys(health), ['r1']);
+    assert.strictEqual(health.r1.connection, readerState.connected);
+    assert.strictEqual(health.r1.lastType, healthType.LIFECYCLE);
+    assert.deepStrictEqual(health.r1.fault, {
+      type: healthType.SOFTWARE_FAULT,
+      code: 'TASK',
+      eventTime: '2026-01-01T00:00:00.000Z',
+      args: null
+    });
+    assert.strictEqual(health.r1.counts.SOFTWARE_FAULT, 1);
+    assert.strictEqual(health.r1.counts.LIFECYCLE, 1);
+
+    health.r1.fault.code = 'X';
+    assert.strictEqual(registry.getReaderHealth().r1.fault.code, 'TASK');
+  },
+
+  async 'a reader that flaps within debounce is not reported'() {
+    const { registry, transitions } = createRegistry({
+      debounce: 100,
+      recoveryTimeout: 0
+    });
+
+    registry.update({ readerName: 'r1', type: 'CONNECTION' });
+    await wait(10);
+    registry.update({
+      readerName: 'r1',
+      type: 'CONNECTION',
+      toState: 'CONNECTED'
+    });
+    await wait(150);
+
+    assert.deepStrictEqual(transitions, []);
+    assert.strictEqual(
+      registry.getReaderHealth().r1.connection,
+      readerState.connected
+    );
+  },
+
+  async 'a reader is reported down after debounce, and recovered by an up toState'() {
+    const { registry, transitions } = createRegistry({
+      debounce: 20,
+      recoveryTimeout: 0
+    });
+
+    registry.update({ readerName: 'r1', type: 'HARDWARE_FAULT', code: 'ANT' });
+    assert.deepStrictEqual(transitions, []);
+    await wait(40);
+    assert.deepStrictEqual(transitions, [['readerDown', 'r1']]);
+    assert.strictEqual(
+      registry.getReaderHealth().r1.connection,
+      readerState.disconnected
+    );
+
+    registry.update({
+      readerName: 'r1',
+      type: 'CONNECTION',
+      toState: 'CONNECTED'
+    });
+    await wait(40);
+    assert.deepStrictEqual(transitions, [
+      ['readerDown', 'r1'],
+      ['readerRecovered', 'r1']
+    ]);
+    assert.strictEqual(registry.getReaderHealth().r1.fault, null);
+  },
+
+  'other faults do not recover a down reader'() {
+    const { registry, transitions } = createRegistry({
+      debounce: 0,
+      recoveryTimeout: 0
+    });
+
+    registry.update({ readerName: 'r1', type: 'CONNECTION' });
+    registry.update({ readerName: 'r1', type: 'THROUGHPUT', code: 'DROPS' });
+    registry.update({ readerName: 'r1', type: 'CLOCK_SYNC' });
+    registry.update({ readerName: 'r1', type: 'SOFTWARE_FAULT' });
+
+    assert.deepStrictEqual(transitions, [['readerDown', 'r1']]);
+    assert.strictEqual(
+      registry.getReaderHealth().r1.fault.type,
+      healthType.SOFTWARE_FAULT
+    );
+  },
+
+  'a fault that is not a connection problem does not take a reader down'() {
+    const { registry, transitions } = createRegistry({
+      debounce: 0,
+      recoveryTimeout: 0
+    });
+
+    registry.update({ readerName: 'r1', type: 'THROUGHPUT' });
+    registry.update({ readerName: 'r1', type: 'LIFECYCLE' });
+    registry.update({ readerName: 'r1', type: 'UNKNOWN' });
+
+    assert.deepStrictEqual(transitions, []);
+  },
+
+  async 'a quiet down reader recovers after recoveryTimeout'() {
+    const { registry, transitions } = createRegistry({
+      debounce: 0,
+      recoveryTimeout: 100
+    });
+
+    registry.update({ readerName: 'r1', type: 'CONNECTION' });
+    await wait(60);
+    // another down message restarts the timeout
+    registry.update({ readerName: 'r1', type: 'CONNECTION' });
+    await wait(60);
+    assert.deepStrictEqual(transitions, [['readerDown', 'r1']]);
+    await wait(100);
+    assert.deepStrictEqual(transitions, [
+      ['readerDown', 'r1'],
+      ['readerRecovered', 'r1']
+    ]);
+  },
+
+  async 'a recoveryTimeout of 0 keeps a quiet down reader down'() {
+    const { registry, transitions } = createRegistry({
+      debounce: 0,
+      recoveryTimeout: 0
+    });
+
+    registry.update({ readerName: 'r1', type: 'CONNECTION' });
+    await wait(40);
+
+    assert.deepStrictEqual(transitions, [['readerDown', 'r1']]);
+    registry.stop();
+  },
+
+  async 'stop clears the timers, so nothing more is reported'() {
+    const { registry, transitions } = createRegistry({
+      debounce: 10,
+      recoveryTimeout: 20
+    });
+
+    registry.update({ readerName: 'r1', type: 'CONNECTION' });
+    registry.stop();
+    await wait(40);
+
+    assert.deepStrictEqual(transitions, []);
+  },
+
+  async 'the connector emits readerDown and readerRecovered from the health queue'() {
+    const stub = createConnectorStub();
+    const connector = stub.iqc.createConnector();
+    const recorded = recordEvents(connector, ['readerDown', 'readerRecovered']);
+
+    await connector.start({
+      readerHealth: { debounce: 0, recoveryTimeout: 0 },
+      queues: { item: { enabled: false }, threshold: { enabled: false } }
+    });
+
+    const queueName = stub.queues[0].queueName;
+
+    stub.deliver(queueName, { readerName: 'r1', type: 'CONNECTION' });
+    stub.deliver(queueName, {
+      readerName: 'r1',
+      type: 'CONNECTION',
+      toState: 'CONNECTED'
+    });
+    await waitFor(() => recorded.length === 2);
+
+    const health = connector.getReaderHealth();
+
+    await connector.shutdown();
+
+    assert.deepStrictEqual(
+      recorded.map(e => [e.name, e.data.readerName]),
+      [
+        ['readerDown', 'r1'],
+        ['readerRecovered', 'r1']
+      ]
+    );
+    assert.strictEqual(health.r1.connection, readerState.connected);
+  }
+};
@@ -0,0 +1,352 @@
+'use strict';
+
+const events = require('events');
+const Module = require('module');
+const realRequests = require('../../lib/itemsense-requests');
+
+const CONNECTOR = require.resolve('../../lib/itemsense-queue-connector');
+const REQUESTS = require.resolve('../../lib/itemsense-requests');
+const AMQPLIB = require.resolve('amqplib');
+
+/**
+ * A stand in for an amqplib channel - it records what the connector does with it, and deliver() calls the consumers of a queue
+ */
+class Channel extends events.EventEmitter {
+  constructor(stub) {
+    super();
+    this._stub = stub;
+    this.consumers = {};
+    this.acked = [];
+    this.nacked = [];
+    this.prefetchCount = 0;
+    this.closed = false;
+  }
+
+  async checkQueue(queueName) {
+    if (this._stub.missingQueues.indexOf(queueName) !== -1) {
+      throw new Error(`NOT_FOUND - no queue '${queueName}'`);
+    }
+    return { queue: queueName };
+  }
+
+  async consume(queueName, callback) {
+    const consumerTag = `ctag-${++this._stub.consumerCount}`;
+
+    this.consumers[consumerTag] = { queueName, callback };
+    return { consumerTag };
+  }
+
+  async cancel(consumerTag) {
+    delete this.consumers[consumerTag];
+  }
+
+  async prefetch(count) {
+    this.prefetchCount = count;
+  }
+
+  ack(msg) {
+    this.acked.push(msg);
+  }
+
+  nack(msg, allUpTo, requeue) {
+    this.nacked.push({ msg, requeue });
+  }
+
+  async close() {
+    this.closed = true;
+  }
+}
+
+/**
+ * A stand in for an amqplib connection - args are the arguments amqp.connect was called with
+ */
+class Connection extends events.EventEmitter {
+  constructor(stub, args) {
+    super();
+    this._stub = stub;
+    this.args = args;
+    this.channels = [];
+    this.closed = false;
+  }
+
+  async createChannel() {
+    const channel = new Channel(this._stub);
+
+    this.channels.push(channel);
+    return channel;
+  }
+
+  async close() {
+    this.closed = true;
+  }
+
+  /**
+   *
+   * @param {Error} err - why the connection closed
+   *
+   * Closes the connection the way amqplib does when the network drops - its channels stop consuming, and a close event is emitted with the error
+   */
+  drop(err) {
+    for (let channel of this.channels) {
+      channel.consumers = {};
+      channel.closed = true;
+    }
+    this.closed = true;
+    this.emit('close', err);
+  }
+}
+
+/**
+ *
+ * @param {String} id - the resolved path of a module
+ * @param {*} exports - what requiring the module should return
+ * @returns {Module} a require.cache entry
+ */
+function createCachedModule(id, exports) {
+  const cached = new Module(id, module);
+
+  cached.filename = id;
+  cached.loaded = true;
+  cached.exports = exports;
+
+  return cached;
+}
+
+/**
+ *
+ * @param {*} amqp - the amqplib stand in
+ * @param {*} requests - the itemsense-requests stand in
+ * @returns {*} a copy of the connector module that uses the stand ins - the require cache is left as it was, so other suites get the real modules
+ */
+function loadConnector(amqp, requests) {
+  const saved = {};
+
+  for (let id of [CONNECTOR, REQUESTS, AMQPLIB]) {
+    saved[id] = require.cache[id];
+  }
+  try {
+    delete require.cache[CONNECTOR];
+    require.cache[REQUESTS] = createCachedModule(REQUESTS, requests);
+    require.cache[AMQPLIB] = createCachedModule(AMQPLIB, amqp);
+
+    return require(CONNECTOR);
+  } finally {
+    for (let id in saved) {
+      if (saved[id]) {
+        require.cache[id] = saved[id];
+      } else {
+        delete require.cache[id];
+      }
+    }
+  }
+}
+
+/**
+ * @returns {*} iqc: the connector module, connections: Array, queues: Array, and the stand in requests - everything is recorded so tests can check what the connector did
+ *
+ * Creates a connector module that talks to a stand in ItemSense server and AMQP broker instead of real ones. Each call creates a new module, so tests don't share any state.
+ */
+function createConnectorStub() {
+  const stub = {
+    serverUrl: 'amqp://localhost:5672/%2F',
+    connections: [],
+    queues: [],
+    missingQueues: [],
+    failConnects: 0,
+    serverDown: 0,
+    consumerCount: 0,
+    queueCount: 0
+  };
+
+  const createQueue = type => async options => {
+    const queueName = `${type}-queue-${++stub.queueCount}`;
+
+    stub.queues.push({
+      type,
+      queueName,
+      filter: type === 'item' ? options.itemQueueFilter : undefined
+    });
+    return { serverUrl: stub.serverUrl, queue: queueName };
+  };
+
+  stub.amqp = {
+    connect: async (...args) => {
+      if (stub.failConnects > 0) {
+        stub.failConnects--;
+        throw new Error('connect ECONNREFUSED');
+      }
+
+      const connection = new Connection(stub, args);
+
+      stub.connections.push(connection);
+      return connection;
+    }
+  };
+
+  stub.requests = Object.assign({}, realRequests, {
+    isServerAvailable: async () => {
+      if (stub.serverDown > 0) {
+        stub.serverDown--;
+        throw new Error('connect ECONNREFUSED');
+      }
+      return { items: [] };
+    },
+    createItemQueue: createQueue('item'),
+    createThresholdQueue: createQueue('threshold'),
+    createHealthQueue: createQueue('health'),
+    showItems: async () => ({ items: [] }),
+    showItemHistory: async () => ({ history: [] }),
+    showThresholdTransitions: async () => ({ transitions: [] })
+  });
+
+  stub.iqc = loadConnector(stub.amqp, stub.requests);
+
+  /**
+   * @returns {Array} every channel the connector created, on every connection
+   */
+  stub.channels = () =>
+    stub.connections.reduce(
+      (channels, connection) => channels.concat(connection.channels),
+      []
+    );
+
+  /**
+   *
+   * @param {String} queueName - the name of a queue
+   * @returns {Channel} the channel that is consuming the queue, or undefined
+   */
+  stub.consumerOf = queueName =>
+    stub
+      .channels()
+      .find(channel =>
+        Object.keys(channel.consumers).some(
+          tag => channel.consumers[tag].queueName === queueName
+        )
+      );
+
+  /**
+   *
+   * @param {String} queueName - the name of a queue
+   * @param {*} message - an object to send as JSON, or a String to send as is
+   * @returns {*} the amqplib message that was delivered
+   *
+   * Calls the consumer of the queue with a message, the same way amqplib does - throws if nothing is consuming the queue
+   */
+  stub.deliver = (queueName, message) => {
+    const channel = stub.consumerOf(queueName);
+
+    if (!channel) {
+      throw new Error(`Nothing is consuming ${queueName}`);
+    }
+
+    const msg = {
+      content: Buffer.from(
+        typeof message === 'string' ? message : JSON.stringify(message)
+      ),
+      fields: { deliveryTag: ++stub.consumerCount },
+      properties: {}
+    };
+
+    for (let tag in channel.consumers) {
+      if (channel.consumers[tag].queueName === queueName) {
+        channel.consumers[tag].callback(msg);
+      }
+    }
+
+    return msg;
+  };
+
+  /**
+   *
+   * @param {String} queueName - the name of a queue
+   *
+   * Cancels the consumers of the queue the way the broker does, e.g. when the queue is deleted - amqplib calls the consumer with null
+   */
+  stub.cancelConsumers = queueName => {
+    for (let channel of stub.channels()) {
+      for (let tag in channel.consumers) {
+        const { queueName: consumed, callback } = channel.consumers[tag];
+
+        if (consumed === queueName) {
+          delete channel.consumers[tag];
+          callback(null);
+        }
+      }
+    }
+  };
+
+  return stub;
+}
+
+/**
+ *
+ * @param {Function} condition - returns true once the thing a test is waiting for happened
+ * @param {Number} timeout - how long to wait, in milliseconds, before giving up
+ * @returns {Promise} resolves once the condition is true, or rejects after the timeout
+ */
+async function waitFor(condition, timeout = 2000) {
+  const giveUpAt = Date.now() + timeout;
+
+  while (!condition()) {
+    if (Date.now() > giveUpAt) {
+      throw new Error(`Timed out waiting for ${condition}`);
+    }
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+}
+
+/**
+ *
+ * @param {events.EventEmitter} emitter - a connector
+ * @param {Array} names - the events to record
+ * @returns {Array} name and data of every event, in the order they were emitted - error events are recorded too, so they don't throw
+ */
+function recordEvents(emitter, names) {
+  let recorded = [];
+
+  for (let name of names.concat('error')) {
+    emitter.on(name, data => recorded.push({ name, data }));
+  }
+
+  return recorded;
+}
+
+/**
+ *
+ * @param {*} options - the connector options - the threshold and health queues are disabled unless the options enable them
+ * @param {Array} names - the events to record, besides itemQueueConnected
+ * @returns {Promise} resolves with the stub, connector, recorded events, item queue name, and the channel it's consumed on, once the item queue is consumed
+ */
+async function startItemQueue(options = {}, names = []) {
+  const stub = createConnectorStub();
+  const connector = stub.iqc.createConnector();
+  const recorded = recordEvents(
+    connector,
+    ['itemQueueConnected'].concat(names)
+  );
+
+  connector.start(
+    Object.assign(
+      { queues: { threshold: { enabled: false }, health: { enabled: false } } },
+      options
+    )
+  );
+  await waitFor(() => recorded.some(e => e.name === 'itemQueueConnected'));
+
+  const queueName = stub.queues[0].queueName;
+
+  return {
+    stub,
+    connector,
+    recorded,
+    queueName,
+    channel: stub.consumerOf(queueName)
+  };
+}
+
+module.exports = {
+  createConnectorStub,
+  waitFor,
+  recordEvents,
+  startItemQueue
+};
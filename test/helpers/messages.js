@@ -0,0 +1,35 @@
+'use strict';
+
+// the fixed time that message times are relative to, so tests that depend on observation times don't depend on when they run
+const FIXED_TIME = Date.UTC(2026, 0, 1);
+
+/**
+ *
+ * @param {Number} seconds - seconds after a fixed time, or undefined for now
+ * @returns {String} the time as an ISO String
+ */
+function time(seconds) {
+  return new Date(
+    seconds === undefined ? Date.now() : FIXED_TIME + seconds * 1000
+  ).toISOString();
+}
+
+/**
+ *
+ * @param {String} epc - the EPC of the message
+ * @param {String} toZone - the zone the message moves the item to
+ * @param {Number} seconds - the observation time, in seconds after a fixed time, or undefined for now
+ * @param {*} properties - any other properties of the message
+ * @returns {*} an item queue message
+ */
+function itemMessage(epc, toZone = 'A', seconds, properties) {
+  return Object.assign(
+    { epc, toZone, observationTime: time(seconds) },
+    properties
+  );
+}
+
+module.exports = {
+  time,
+  itemMessage
+};
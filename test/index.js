@@ -1,98 +1,57 @@
 'use strict';
 
-const childProcess = require('child_process');
-
-let ItemSenseConnector = require('../lib/itemsense-queue-connector');
-let childProcessConnector = childProcess.fork('./');
-
-const HOSTNAME = process.env.HOSTNAME;
-const PORT = parseInt(process.env.PORT) || 80;
-const USERNAME = process.env.USERNAME;
-const PASSWORD = process.env.PASSWORD;
-const QUEUE = process.env.QUEUE || '';
-
-if (!HOSTNAME || !USERNAME || !PASSWORD) {
-  throw new Error(
-    'You will need to set the HOSTNAME, USERNAME, PASSWORD, and (optional) QUEUE environment variables before running this test'
-  );
+const fs = require('fs');
+
+/**
+ * Runs the unit tests, then the live test when the HOSTNAME, USERNAME, and PASSWORD of an ItemSense server are set - see live.js
+ *
+ * Every .js file in this directory is a suite, except this file and live.js - shared test code goes in the helpers directory
+ */
+const suites = fs
+  .readdirSync(__dirname)
+  .filter(file => file.endsWith('.js'))
+  .filter(file => file !== 'index.js' && file !== 'live.js')
+  .sort()
+  .map(file => `./${file.slice(0, -3)}`);
+
+/**
+ * @returns {Promise} resolves with the number of tests that failed
+ *
+ * Each suite exports its tests by name, and a test fails when it throws or returns a Promise that rejects
+ */
+async function runSuites() {
+  let failed = 0;
+
+  for (let suite of suites) {
+    const tests = require(suite);
+
+    for (let name in tests) {
+      try {
+        await tests[name]();
+        console.log(`ok - ${suite.slice(2)} ${name}`);
+      } catch (err) {
+        failed++;
+        console.log(`not ok - ${suite.slice(2)} ${name}\n${err.stack}`);
+      }
+    }
+  }
+
+  return failed;
 }
 
-let sameProcessConnectorOptions = ItemSenseConnector.createOptions({
-  id: 'Same Process',
-  hostname: HOSTNAME,
-  port: PORT,
-  username: USERNAME,
-  password: PASSWORD,
-  queue: QUEUE,
-  maxObservationTimeDelta: 30000,
-  connectionHeartbeatInterval: 5000
-});
-
-console.log(
-  `Same Process Connector Options\n${JSON.stringify(
-    sameProcessConnectorOptions
-  )}\n`
-);
-
-const sameProcessConnector = ItemSenseConnector.createConnector();
-sameProcessConnector.start(sameProcessConnectorOptions);
-sameProcessConnector.on(ItemSenseConnector.event.queueConnect, message => {
-  console.log(message);
-});
-sameProcessConnector.on('info', message => {
-  console.log('Same process info:', message);
-});
-sameProcessConnector.on('itemQueueMessage', message => {
-  console.log('Same process item queue message', message);
-});
-sameProcessConnector.on('healthQueueMessage', message => {
-  console.log('Same process health message:', message);
-});
-sameProcessConnector.on('itemQueueConnected', queue => {
-  console.log(`Same process connected to item queue [ ${queue} ]`);
-});
-sameProcessConnector.on('thresholdQueueConnected', queue => {
-  console.log(`Same process connected to threshold queueu [ ${queue} ]`);
+runSuites().then(failed => {
+  if (failed) {
+    console.log(`${failed} test(s) failed`);
+    process.exitCode = 1;
+  } else if (
+    process.env.HOSTNAME &&
+    process.env.USERNAME &&
+    process.env.PASSWORD
+  ) {
+    require('./live');
+  } else {
+    console.log(
+      'Skipping the live test - set HOSTNAME, USERNAME, PASSWORD, and (optional) QUEUE to run it'
+    );
+  }
 });
-sameProcessConnector.on('healthQueueConnected', queue => {
-  console.log(`Same process connected to health queue [ ${queue} ]`);
-});
-sameProcessConnector.on('amqpConnectionClosed', message => {
-  console.log('Same process AMQP connection closed');
-});
-sameProcessConnector.on('error', message => {
-  console.log('Same process error:', message);
-});
-
-const childProcessOptions = ItemSenseConnector.createOptions({
-  id: 'Child Process',
-  name: 'Child Process',
-  hostname: HOSTNAME,
-  username: USERNAME,
-  password: PASSWORD,
-  queue: QUEUE,
-  itemQueueFilter: {
-    zoneTransitionsOnly: false
-  },
-  ignoreAbsent: true
-});
-
-console.log(
-  `Child Process Connector Options\n${JSON.stringify(childProcessOptions)}\n`
-);
-childProcessConnector.on('message', message => {
-  console.log('Child Process', message);
-});
-childProcessConnector.send({
-  command: 'start',
-  options: childProcessOptions
-});
-
-setTimeout(() => {
-  childProcessConnector.send({ command: 'shutdown' });
-  sameProcessConnector.shutdown();
-
-  setTimeout(() => {
-    process.exit(0);
-  }, 5000);
-}, 300000);
@@ -0,0 +1,285 @@
+'use strict';
+
+const assert = require('assert');
+const {
+  createConnectorStub,
+  waitFor,
+  recordEvents
+} = require('./helpers/connector-stub');
+const { itemMessage, time } = require('./helpers/messages');
+
+const ITEM_ONLY = {
+  queues: { threshold: { enabled: false }, health: { enabled: false } }
+};
+
+/**
+ *
+ * @param {String} epc - the EPC of the item
+ * @param {String} zone - the zone the item is in
+ * @returns {*} an item, as items/show returns it
+ */
+function showItem(epc, zone) {
+  return {
+    epc,
+    zone,
+    floor: '1',
+    facility: 'F1',
+    xLocation: 1.5,
+    yLocation: 2,
+    lastModifiedTime: time(0)
+  };
+}
+
+module.exports = {
+  async 'a snapshot pages through items/show with the item queue filter, before the item queue is consumed'() {
+    const stub = createConnectorStub();
+    const connector = stub.iqc.createConnector();
+    const recorded = recordEvents(connector, [
+      'initialInventory',
+      'itemQueueConnected'
+    ]);
+    const pages = {
+      '': { items: [showItem('E1', 'A')], nextPageMarker: 'page2' },
+      page2: { items: [showItem('E2', 'ABSENT'), showItem('E3', 'B')] }
+    };
+
+    let queries = [];
+
+    stub.requests.showItems = async (options, query) => {
+      queries.push(query);
+      return pages[query.pageMarker || ''];
+    };
+    await connector.start(
+      Object.assign(
+        {
+          initialInventory: 'snapshot',
+          trackPresence: true,
+          itemQueueFilter: { toZone: 'A', epc: 'E' }
+        },
+        ITEM_ONLY
+      )
+    );
+
+    const zoneCounts = connector.getZoneCounts();
+
+    await connector.shutdown();
+
+    assert.deepStrictEqual(
+      recorded.map(e => e.name),
+      ['initialInventory', 'itemQueueConnected']
+    );
+    assert.deepStrictEqual(queries, [
+      { pageSize: 1000, epcPrefix: 'E', zoneNames: 'A' },
+      { pageSize: 1000, epcPrefix: 'E', zoneNames: 'A', pageMarker: 'page2' }
+    ]);
+
+    const inventory = recorded[0].data;
+
+    assert.strictEqual(inventory.count, 2);
+    assert.strictEqual(inventory.error, null);
+    assert.deepStrictEqual(inventory.items[0], {
+      epc: 'E1',
+      zone: 'A',
+      floor: '1',
+      facility: 'F1',
+      x: 1.5,
+      y: 2,
+      observationTime: time(0)
+    });
+    assert.deepStrictEqual(zoneCounts, { A: 1, B: 1 });
+  },
+
+  async 'items sends each item as an itemSnapshot event'() {
+    const stub = createConnectorStub();
+    const connector = stub.iqc.createConnector();
+    const recorded = recordEvents(connector, [
+      'itemSnapshot',
+      'initialInventory'
+    ]);
+
+    stub.requests.showItems = async () => ({
+      items: [showItem('E1', 'A'), showItem('E2', 'B')]
+    });
+    await connector.start(
+      Object.assign({ initialInventory: 'items' }, ITEM_ONLY)
+    );
+    await connector.shutdown();
+
+    assert.deepStrictEqual(
+      recorded.map(e => [e.name, e.data.epc]),
+      [
+        ['itemSnapshot', 'E1'],
+        ['itemSnapshot', 'E2'],
+        ['initialInventory', undefined]
+      ]
+    );
+    assert.strictEqual(recorded[2].data.items, null);
+    assert.strictEqual(recorded[2].data.count, 2);
+  },
+
+  async 'the item queue waits for the inventory, and is consumed when it fails'() {
+    const stub = createConnectorStub();
+    const connector = stub.iqc.createConnector();
+    const recorded = recordEvents(connector, ['initialInventory']);
+
+    let fail;
+
+    stub.requests.showItems = () =>
+      new Promise((resolve, reject) => (fail = reject));
+    connector.start(Object.assign({ initialInventory: 'snapshot' }, ITEM_ONLY));
+    await waitFor(() => fail);
+
+    const queueName = stub.queues[0].queueName;
+    const consumedDuringInventory = !!stub.consumerOf(queueName);
+
+    fail(new Error('Server responded with status code 500'));
+    await waitFor(() => stub.consumerOf(queueName));
+    await connector.shutdown();
+
+    assert.strictEqual(consumedDuringInventory, false);
+    assert.strictEqual(
+      recorded.find(e => e.name === 'initialInventory').data.error,
+      'Initial inventory failed: Server responded with status code 500'
+    );
+    assert.ok(
+      recorded.some(
+        e =>
+          e.name === 'error' && /Initial inventory failed/.test(e.data.message)
+      )
+    );
+  },
+  async 'the filter of an item queue is sent as the items/show query'() {
+    const stub = createConnectorStub();
+    const connector = stub.iqc.createConnector();
+
+    let queries = [];
+
+    stub.requests.showItems = async (options, query) => {
+      queries.push(query);
+      return { items: [] };
+    };
+    await connector.start(
+      Object.assign(
+        {
+          initialInventory: 'snapshot',
+          itemQueueFilter: {
+            epc: '3034',
+            fromZone: 'A',
+            toZone: 'B',
+            toFacility: 'F1',
+            jobId: 'job-1',
+            zoneTransitionsOnly: false
+          }
+        },
+        ITEM_ONLY
+      )
+    );
+    await connector.shutdown();
+
+    assert.deepStrictEqual(queries, [
+      {
+        pageSize: 1000,
+        epcPrefix: '3034',
+        zoneNames: 'B',
+        facility: 'F1',
+        jobId: 'job-1'
+      }
+    ]);
+  },
+
+  async 'each distinct filter of the enabled item queues is paged once, and an item is only counted once'() {
+    const stub = createConnectorStub();
+    const connector = stub.iqc.createConnector();
+    const recorded = recordEvents(connector, ['initialInventory']);
+    const pages = {
+      A: { items: [showItem('E1', 'A')] },
+      DOCK: { items: [showItem('E2', 'DOCK')], nextPageMarker: 'page2' },
+      'DOCK:page2': { items: [showItem('E3', 'DOCK'), showItem('E1', 'A')] }
+    };
+
+    let queries = [];
+
+    stub.requests.showItems = async (options, query) => {
+      queries.push(query);
+      return pages[
+        [query.zoneNames, query.pageMarker].filter(x => x).join(':')
+      ];
+    };
+    await connector.start({
+      initialInventory: 'snapshot',
+      itemQueueFilter: { toZone: 'YARD' },
+      itemSubscriptions: [
+        { name: 'a', filter: { toZone: 'A' } },
+        { name: 'dock', filter: { toZone: 'DOCK' } },
+        { name: 'ramp', filter: { toZone: 'DOCK' }, ignoreAbsent: true }
+      ],
+      queues: {
+        item: { enabled: false },
+        threshold: { enabled: false },
+        health: { enabled: false }
+      }
+    });
+    await connector.shutdown();
+
+    assert.deepStrictEqual(queries, [
+      { pageSize: 1000, zoneNames: 'A' },
+      { pageSize: 1000, zoneNames: 'DOCK' },
+      { pageSize: 1000, zoneNames: 'DOCK', pageMarker: 'page2' }
+    ]);
+
+    const inventory = recorded.find(e => e.name === 'initialInventory').data;
+
+    assert.strictEqual(inventory.count, 3);
+    assert.deepStrictEqual(
+      inventory.items.map(item => item.epc),
+      ['E1', 'E2', 'E3']
+    );
+  },
+
+  async 'every item queue waits for the inventory, and is consumed once it is taken'() {
+    const stub = createConnectorStub();
+    const connector = stub.iqc.createConnector();
+    const recorded = recordEvents(connector, [
+      'initialInventory',
+      'itemQueueMessage',
+      'itemSubscriptionMessage'
+    ]);
+
+    let finish;
+
+    const taken = new Promise(resolve => (finish = resolve));
+
+    stub.requests.showItems = async () => {
+      await taken;
+      return { items: [showItem('E1', 'A')] };
+    };
+    connector.start(
+      Object.assign(
+        {
+          initialInventory: 'snapshot',
+          itemSubscriptions: [{ name: 'dock', filter: { toZone: 'DOCK' } }]
+        },
+        ITEM_ONLY
+      )
+    );
+    await waitFor(() => stub.channels().length === 2);
+    await new Promise(resolve => setTimeout(resolve, 20));
+
+    const consumedDuringInventory = stub.queues.some(q =>
+      stub.consumerOf(q.queueName)
+    );
+
+    finish();
+    await waitFor(() => stub.queues.every(q => stub.consumerOf(q.queueName)));
+    stub.deliver(stub.queues[0].queueName, itemMessage('E2'));
+    stub.deliver(stub.queues[1].queueName, itemMessage('E3', 'DOCK'));
+    await waitFor(() => recorded.length === 3);
+    await connector.shutdown();
+
+    assert.strictEqual(consumedDuringInventory, false);
+    assert.deepStrictEqual(
+      recorded.map(e => e.name),
+      ['initialInventory', 'itemQueueMessage', 'itemSubscriptionMessage']
+    );
+  }
+};
@@ -0,0 +1,71 @@
+'use strict';
+
+const assert = require('assert');
+const { waitFor, startItemQueue } = require('./helpers/connector-stub');
+const { itemMessage } = require('./helpers/messages');
+
+module.exports = {
+  async 'content that is not JSON is rejected with an invalidMessage event'() {
+    const { stub, connector, recorded, queueName } = await startItemQueue({}, [
+      'itemQueueMessage',
+      'invalidMessage'
+    ]);
+
+    stub.deliver(queueName, '{"epc": ');
+    await connector.shutdown();
+
+    const rejected = recorded.filter(e => e.name !== 'itemQueueConnected');
+
+    assert.strictEqual(rejected.length, 1);
+    assert.strictEqual(rejected[0].name, 'invalidMessage');
+    assert.strictEqual(rejected[0].data.queue, 'item');
+    assert.strictEqual(rejected[0].data.queueName, queueName);
+    assert.strictEqual(rejected[0].data.reason, 'invalidJson');
+    assert.strictEqual(rejected[0].data.content, '{"epc": ');
+    assert.strictEqual(rejected[0].data.rejected, 1);
+  },
+
+  async 'messages without an EPC or a valid observationTime are rejected as invalidSchema'() {
+    const { stub, connector, recorded, queueName } = await startItemQueue({}, [
+      'itemQueueMessage',
+      'invalidMessage'
+    ]);
+
+    stub.deliver(queueName, { toZone: 'A', observationTime: 'now' });
+    stub.deliver(queueName, { epc: 'E1', observationTime: 'yesterday' });
+    stub.deliver(queueName, '[]');
+    stub.deliver(queueName, itemMessage('E2'));
+    await connector.shutdown();
+
+    assert.deepStrictEqual(
+      recorded
+        .filter(e => e.name !== 'itemQueueConnected')
+        .map(e => [e.name, e.data.reason || e.data.epc]),
+      [
+        ['invalidMessage', 'invalidSchema'],
+        ['invalidMessage', 'invalidSchema'],
+        ['invalidMessage', 'invalidSchema'],
+        ['itemQueueMessage', 'E2']
+      ]
+    );
+    assert.deepStrictEqual(connector.getRejectedMessageCounts(), {
+      total: 3,
+      queues: { item: { total: 3, invalidJson: 0, invalidSchema: 3 } }
+    });
+  },
+
+  async 'with manualAck, an invalid message is nacked without being requeued'() {
+    const { stub, connector, queueName, channel } = await startItemQueue({
+      manualAck: true,
+      requeueOnFailure: true
+    });
+
+    connector.on('invalidMessage', () => {});
+    stub.deliver(queueName, 'not json');
+    await waitFor(() => channel.nacked.length === 1);
+    await connector.shutdown();
+
+    assert.strictEqual(channel.nacked[0].requeue, false);
+    assert.strictEqual(channel.acked.length, 0);
+  }
+};
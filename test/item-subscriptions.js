@@ -0,0 +1,117 @@
+'use strict';
+
+const assert = require('assert');
+const {
+  createConnectorStub,
+  waitFor,
+  recordEvents
+} = require('./helpers/connector-stub');
+const { itemMessage } = require('./helpers/messages');
+
+/**
+ *
+ * @param {*} options - the connector options, without the threshold and health queues
+ * @returns {Promise} resolves with the stub, connector, and recorded events once the item queue and every item subscription are consumed
+ */
+async function startItemQueues(options) {
+  const stub = createConnectorStub();
+  const connector = stub.iqc.createConnector();
+  const recorded = recordEvents(connector, [
+    'itemQueueConnected',
+    'itemQueueMessage',
+    'itemSubscriptionConnected',
+    'itemSubscriptionMessage'
+  ]);
+
+  connector.start(
+    Object.assign(
+      { queues: { threshold: { enabled: false }, health: { enabled: false } } },
+      options
+    )
+  );
+  await waitFor(
+    () =>
+      recorded.filter(e => /Connected$/.test(e.name)).length ===
+      options.itemSubscriptions.length + 1
+  );
+
+  return { stub, connector, recorded };
+}
+
+module.exports = {
+  async 'each subscription has its own queue and filter, and its messages are tagged with its name'() {
+    const { stub, connector, recorded } = await startItemQueues({
+      itemQueueFilter: { toZone: 'A' },
+      itemSubscriptions: [
+        { name: 'dock', filter: { toZone: 'DOCK' } },
+        { name: 'prefix', filter: { epc: 'E2' } }
+      ]
+    });
+
+    const queueNames = {};
+
+    for (let e of recorded) {
+      if (e.name === 'itemSubscriptionConnected') {
+        queueNames[e.data.subscription] = e.data.queue;
+      }
+    }
+    stub.deliver(queueNames.dock, itemMessage('E1', 'DOCK'));
+    stub.deliver(queueNames.prefix, itemMessage('E2', 'B'));
+    stub.deliver(stub.queues[0].queueName, itemMessage('E3', 'A'));
+    await connector.shutdown();
+
+    assert.deepStrictEqual(
+      stub.queues.map(queue => queue.filter),
+      [{ toZone: 'A' }, { toZone: 'DOCK' }, { epc: 'E2' }]
+    );
+    assert.deepStrictEqual(
+      recorded
+        .filter(e => /Message$/.test(e.name))
+        .map(e =>
+          e.name === 'itemSubscriptionMessage'
+            ? [e.data.subscription, e.data.message.epc]
+            : ['', e.data.epc]
+        ),
+      [
+        ['dock', 'E1'],
+        ['prefix', 'E2'],
+        ['', 'E3']
+      ]
+    );
+  },
+
+  async 'subscriptions inherit the item queue tolerance options, but not its filter'() {
+    const { stub, connector, recorded } = await startItemQueues({
+      itemQueueFilter: { toZone: 'A' },
+      ignoreAbsent: true,
+      itemSubscriptions: [
+        { name: 'inherits' },
+        { name: 'overrides', ignoreAbsent: false }
+      ]
+    });
+
+    stub.deliver(stub.queues[1].queueName, itemMessage('E1', 'ABSENT'));
+    stub.deliver(stub.queues[2].queueName, itemMessage('E2', 'ABSENT'));
+    await connector.shutdown();
+
+    assert.deepStrictEqual(stub.queues[1].filter, {});
+    assert.deepStrictEqual(
+      recorded
+        .filter(e => e.name === 'itemSubscriptionMessage')
+        .map(e => e.data.subscription),
+      ['overrides']
+    );
+  },
+
+  async 'the created queue names are kept in the subscriptions'() {
+    const { stub, connector } = await startItemQueues({
+      itemSubscriptions: [{ name: 'dock', filter: { toZone: 'DOCK' } }]
+    });
+
+    assert.strictEqual(
+      connector.options.itemSubscriptions[0].queueName,
+      stub.queues[1].queueName
+    );
+    await connector.shutdown();
+  }
+};
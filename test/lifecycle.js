@@ -0,0 +1,179 @@
+'use strict';
+
+const assert = require('assert');
+const {
+  createConnectorStub,
+  waitFor,
+  recordEvents
+} = require('./helpers/connector-stub');
+const { itemMessage } = require('./helpers/messages');
+
+const ITEM_ONLY = {
+  queues: { threshold: { enabled: false }, health: { enabled: false } }
+};
+
+module.exports = {
+  async 'start resolves with the status once every enabled queue is consumed'() {
+    const stub = createConnectorStub();
+    const connector = stub.iqc.createConnector();
+    const recorded = recordEvents(connector, ['started', 'stopped']);
+
+    const status = await connector.start(ITEM_ONLY);
+    const again = await connector.start(ITEM_ONLY);
+
+    await connector.shutdown();
+
+    assert.strictEqual(status.queues.item.state, 'connected');
+    assert.strictEqual(status.queues.threshold.state, 'disabled');
+    assert.strictEqual(again.queues.item.state, 'connected');
+    assert.strictEqual(stub.connections.length, 1);
+    assert.deepStrictEqual(
+      recorded.map(e => [e.name, e.data]),
+      [
+        ['started', { error: null }],
+        ['stopped', { errors: [] }]
+      ]
+    );
+  },
+
+  async 'start rejects with a ValidationError when the options are invalid'() {
+    const stub = createConnectorStub();
+    const connector = stub.iqc.createConnector();
+    const recorded = recordEvents(connector, ['started']);
+
+    await assert.rejects(
+      connector.start({ prefetch: -1 }),
+      err => err.name === 'ValidationError' && err.errors.length === 1
+    );
+
+    assert.strictEqual(stub.connections.length, 0);
+    assert.strictEqual(recorded.length, 1);
+    assert.ok(recorded[0].data.error);
+  },
+
+  async 'start rejects when ItemSense refuses the credentials, and keeps trying to connect'() {
+    const stub = createConnectorStub();
+    const connector = stub.iqc.createConnector();
+    const recorded = recordEvents(connector, []);
+
+    let checks = 0;
+
+    stub.requests.isServerAvailable = async () => {
+      checks++;
+      throw 'Unauthorized - check username and password';
+    };
+
+    await assert.rejects(
+      connector.start(
+        Object.assign({ connectionRetryInterval: 1000 }, ITEM_ONLY)
+      ),
+      /Unauthorized/
+    );
+    await waitFor(() => checks === 2, 3000);
+    await connector.shutdown();
+
+    assert.ok(recorded.every(e => /Unauthorized/.test(e.data)));
+  },
+
+  async 'start rejects when the queues are not consumed within startTimeout'() {
+    const stub = createConnectorStub();
+    const connector = stub.iqc.createConnector();
+
+    recordEvents(connector, []);
+    stub.serverDown = 10;
+
+    await assert.rejects(
+      connector.start(Object.assign({ startTimeout: 50 }, ITEM_ONLY)),
+      /not consumed within 50 ms: item$/
+    );
+    await connector.shutdown();
+  },
+
+  async 'start rejects when a queue gives up reconnecting'() {
+    const stub = createConnectorStub();
+    const connector = stub.iqc.createConnector();
+
+    recordEvents(connector, []);
+    stub.serverDown = Infinity;
+
+    await assert.rejects(
+      connector.start(
+        Object.assign(
+          { connectionRetryInterval: 1000, connectionRetryMaxAttempts: 1 },
+          ITEM_ONLY
+        )
+      ),
+      /Gave up connecting to \[ item \] after 1 attempts/
+    );
+    await connector.shutdown();
+  },
+
+  async 'shutdown rejects a start that has not settled'() {
+    const stub = createConnectorStub();
+    const connector = stub.iqc.createConnector();
+
+    recordEvents(connector, []);
+    stub.serverDown = 10;
+
+    const starting = connector.start(ITEM_ONLY);
+
+    await connector.shutdown();
+    await assert.rejects(starting, /Connector shutdown/);
+  },
+
+  async 'shutdown with a drainTimeout waits for the messages listeners are handling'() {
+    const stub = createConnectorStub();
+    const connector = stub.iqc.createConnector();
+
+    let finish;
+
+    connector.on(
+      'itemQueueMessage',
+      () => new Promise(resolve => (finish = resolve))
+    );
+    await connector.start(Object.assign({ manualAck: true }, ITEM_ONLY));
+
+    const queueName = stub.queues[0].queueName;
+    const channel = stub.consumerOf(queueName);
+    const msg = stub.deliver(queueName, itemMessage('E1'));
+
+    await waitFor(() => finish);
+
+    let stopped = false;
+    const stopping = connector
+      .shutdown({ drainTimeout: 1000 })
+      .then(() => (stopped = true));
+
+    await new Promise(resolve => setTimeout(resolve, 20));
+    assert.strictEqual(stopped, false);
+    assert.strictEqual(stub.consumerOf(queueName), undefined);
+    finish();
+    await stopping;
+
+    assert.deepStrictEqual(channel.acked, [msg]);
+    assert.strictEqual(channel.closed, true);
+  },
+
+  async 'messages still being handled when the drainTimeout passes are left to the broker to requeue'() {
+    const stub = createConnectorStub();
+    const connector = stub.iqc.createConnector();
+
+    let handling = false;
+
+    connector.on('itemQueueMessage', () => {
+      handling = true;
+      return new Promise(() => {});
+    });
+    await connector.start(Object.assign({ manualAck: true }, ITEM_ONLY));
+
+    const queueName = stub.queues[0].queueName;
+    const channel = stub.consumerOf(queueName);
+    stub.deliver(queueName, itemMessage('E1'));
+    await waitFor(() => handling);
+    await connector.shutdown({ drainTimeout: 50 });
+
+    // closing the channel puts the unacknowledged message back on the queue
+    assert.strictEqual(channel.acked.length, 0);
+    assert.strictEqual(channel.closed, true);
+  }
+};
@@ -0,0 +1,90 @@
+'use strict';
+
+const assert = require('assert');
+const { waitFor, startItemQueue } = require('./helpers/connector-stub');
+const { itemMessage } = require('./helpers/messages');
+
+module.exports = {
+  async 'without manualAck, a message is acked before listeners get it'() {
+    const { stub, connector, queueName, channel } = await startItemQueue({});
+
+    let ackedBeforeListener = null;
+
+    connector.on('itemQueueMessage', () => {
+      ackedBeforeListener = channel.acked.length === 1;
+    });
+    stub.deliver(queueName, itemMessage('E1'));
+    await connector.shutdown();
+
+    assert.strictEqual(ackedBeforeListener, true);
+  },
+
+  async 'with manualAck, a message is acked once every listener has handled it'() {
+    const { stub, connector, queueName, channel } = await startItemQueue({
+      manualAck: true
+    });
+
+    let finish;
+
+    connector.on('itemQueueMessage', () => true);
+    connector.on(
+      'itemQueueMessage',
+      () => new Promise(resolve => (finish = resolve))
+    );
+
+    const msg = stub.deliver(queueName, itemMessage('E1'));
+
+    await waitFor(() => finish);
+    assert.strictEqual(channel.acked.length, 0);
+    finish();
+    await waitFor(() => channel.acked.length === 1);
+    await connector.shutdown();
+
+    assert.strictEqual(channel.acked[0], msg);
+    assert.strictEqual(channel.nacked.length, 0);
+  },
+
+  async 'a listener that fails nacks the message, and requeues it as requeueOnFailure or the error says'() {
+    const { stub, connector, recorded, queueName, channel } =
+      await startItemQueue({ manualAck: true, requeueOnFailure: true });
+
+    connector.on('itemQueueMessage', message => {
+      if (message.epc === 'E1') {
+        throw new Error('database is down');
+      }
+
+      let err = new Error('message is malformed');
+
+      err.requeue = false;
+      return Promise.reject(err);
+    });
+    stub.deliver(queueName, itemMessage('E1'));
+    stub.deliver(queueName, itemMessage('E2'));
+    await waitFor(() => channel.nacked.length === 2);
+    await connector.shutdown();
+
+    assert.deepStrictEqual(
+      channel.nacked.map(nack => nack.requeue),
+      [true, false]
+    );
+    assert.strictEqual(channel.acked.length, 0);
+    assert.deepStrictEqual(
+      recorded.filter(e => e.name === 'error').map(e => e.data.message),
+      [
+        'Item queue message was not acknowledged: database is down',
+        'Item queue message was not acknowledged: message is malformed'
+      ]
+    );
+  },
+
+  async 'prefetch caps the unacknowledged messages of each channel'() {
+    const { connector, channel } = await startItemQueue({
+      manualAck: true,
+      prefetch: 5
+    });
+
+    await connector.shutdown();
+
+    assert.strictEqual(channel.prefetchCount, 5);
+  }
+};
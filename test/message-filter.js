@@ -0,0 +1,149 @@
+'use strict';
+
+const assert = require('assert');
+const validation = require('../lib/options-validation');
+const messageFilter = require('../lib/message-filter');
+const {
+  createConnectorStub,
+  recordEvents,
+  startItemQueue
+} = require('./helpers/connector-stub');
+const { itemMessage } = require('./helpers/messages');
+
+const { createMessageFilter, messageFilterRules } = messageFilter;
+
+module.exports = {
+  'no filter passes every message'() {
+    assert.strictEqual(createMessageFilter(null)({}), true);
+    assert.strictEqual(createMessageFilter({})({ epc: 'E2' }), true);
+  },
+
+  'epcPrefix matches any prefix, without case'() {
+    const test = createMessageFilter({ epcPrefix: ['e280', '3034'] });
+
+    assert.strictEqual(test({ epc: 'E2801160' }), true);
+    assert.strictEqual(test({ epc: '30340000' }), true);
+    assert.strictEqual(test({ epc: 'AD000000' }), false);
+    assert.strictEqual(test({}), false);
+  },
+
+  'a global epcPattern does not keep its position between messages'() {
+    const test = createMessageFilter({ epcPattern: /^E2/g });
+
+    assert.strictEqual(test({ epc: 'E2801160' }), true);
+    assert.strictEqual(test({ epc: 'E2801161' }), true);
+    assert.strictEqual(
+      createMessageFilter({ epcPattern: '1$' })({ epc: 'E1' }),
+      true
+    );
+  },
+
+  'allow lists need the property, and deny lists drop it'() {
+    const test = createMessageFilter({
+      zones: { allow: ['A', 'B'] },
+      floors: { deny: ['2'] }
+    });
+
+    assert.strictEqual(test({ toZone: 'A', toFloor: '1' }), true);
+    assert.strictEqual(test({ toZone: 'A', toFloor: '2' }), false);
+    assert.strictEqual(test({ toZone: 'C' }), false);
+    assert.strictEqual(test({}), false);
+  },
+
+  'the lists are skipped for messages without locations'() {
+    const filter = { zones: { allow: ['A'] }, epcPrefix: 'E2' };
+
+    assert.strictEqual(
+      createMessageFilter(filter, false)({ epc: 'E2', toZone: 'IN' }),
+      true
+    );
+    assert.strictEqual(
+      createMessageFilter(filter, false)({ epc: 'AD', toZone: 'IN' }),
+      false
+    );
+    assert.strictEqual(
+      createMessageFilter(filter)({ epc: 'E2', toZone: 'IN' }),
+      false
+    );
+  },
+
+  'minDistance passes messages without both positions'() {
+    const test = createMessageFilter({ minDistance: 5 });
+
+    assert.strictEqual(test({ fromX: 0, fromY: 0, toX: 3, toY: 4 }), true);
+    assert.strictEqual(test({ fromX: 0, fromY: 0, toX: 3, toY: 3 }), false);
+    assert.strictEqual(test({ toX: 3, toY: 3 }), true);
+  },
+
+  'the predicate is called last, with the queue key'() {
+    let calls = [];
+    const test = createMessageFilter({
+      jobId: 'job1',
+      predicate: (message, key) => {
+        calls.push(key);
+        return message.epc === 'E2';
+      }
+    });
+
+    assert.strictEqual(test({ jobId: 'job2', epc: 'E2' }, 'item'), false);
+    assert.deepStrictEqual(calls, []);
+    assert.strictEqual(test({ jobId: 'job1', epc: 'E2' }, 'item:dock'), true);
+    assert.deepStrictEqual(calls, ['item:dock']);
+  },
+
+  'the rules reject invalid filters'() {
+    assert.strictEqual(
+      messageFilterRules({ epcPrefix: 'XYZ', epcPattern: '(' }, 'f').length,
+      2
+    );
+    assert.deepStrictEqual(
+      messageFilterRules({ zones: { allow: ['A'], other: [] } }, 'f'),
+      ['f.zones.other is not a known property']
+    );
+    assert.deepStrictEqual(
+      validation.nullable(messageFilterRules)(null, 'f'),
+      []
+    );
+  },
+
+  async 'the connector drops the messages that do not pass the messageFilter, and counts them'() {
+    const { stub, connector, recorded, queueName } = await startItemQueue(
+      { messageFilter: { zones: { deny: ['DOCK'] } } },
+      ['itemQueueMessage']
+    );
+
+    stub.deliver(queueName, itemMessage('E1', 'DOCK'));
+    stub.deliver(queueName, itemMessage('E2', 'A'));
+
+    const stats = connector.getStatus().queues.item;
+
+    await connector.shutdown();
+
+    assert.deepStrictEqual(
+      recorded.filter(e => e.name === 'itemQueueMessage').map(e => e.data.epc),
+      ['E2']
+    );
+    assert.strictEqual(stats.filteredBy.messageFilter, 1);
+  },
+
+  async 'the zone lists do not drop threshold messages'() {
+    const stub = createConnectorStub();
+    const connector = stub.iqc.createConnector();
+    const recorded = recordEvents(connector, ['thresholdQueueMessage']);
+
+    await connector.start({
+      messageFilter: { zones: { allow: ['DOCK'] } },
+      queues: { item: { enabled: false }, health: { enabled: false } }
+    });
+    stub.deliver(
+      stub.queues[0].queueName,
+      itemMessage('E1', 'IN', undefined, { threshold: 'D1' })
+    );
+    await connector.shutdown();
+
+    assert.deepStrictEqual(
+      recorded.map(e => [e.name, e.data.epc]),
+      [['thresholdQueueMessage', 'E1']]
+    );
+  }
+};
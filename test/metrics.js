@@ -0,0 +1,230 @@
+'use strict';
+
+const assert = require('assert');
+const http = require('http');
+const metrics = require('../lib/metrics');
+const {
+  createConnectorStub,
+  waitFor,
+  recordEvents
+} = require('./helpers/connector-stub');
+
+const ITEM_ONLY = {
+  queues: { threshold: { enabled: false }, health: { enabled: false } }
+};
+
+/**
+ *
+ * @param {*} queue - the queue status properties that differ from an idle queue
+ * @returns {*} a queue status, as reported by getStatus
+ */
+function createQueueStatus(queue) {
+  return Object.assign(
+    {
+      state: 'disconnected',
+      connectedSince: null,
+      connectedMs: 0,
+      reconnects: 0,
+      received: 0,
+      filteredBy: { ignoreAbsent: 0 },
+      rejected: 0,
+      emitted: 0,
+      lastMessageAge: null
+    },
+    queue
+  );
+}
+
+/**
+ *
+ * @param {Number} port - the port the metrics server listens on
+ * @param {String} path - the request path
+ * @returns {Promise} resolves with { statusCode, body }
+ */
+function get(port, path) {
+  return new Promise((resolve, reject) => {
+    http
+      .get({ hostname: '127.0.0.1', port, path }, res => {
+        let body = '';
+
+        res.setEncoding('utf8');
+        res.on('data', chunk => (body += chunk));
+        res.on('end', () => resolve({ statusCode: res.statusCode, body }));
+      })
+      .on('error', reject);
+  });
+}
+
+/**
+ *
+ * @returns {Promise} resolves with a port nothing listens on
+ */
+function freePort() {
+  const server = http.createServer();
+
+  return new Promise(resolve =>
+    server.listen(0, '127.0.0.1', () => {
+      const port = server.address().port;
+
+      server.close(() => resolve(port));
+    })
+  );
+}
+
+/**
+ *
+ * @param {Number} port - a local port
+ * @returns {Promise} resolves with whether a server listens on the port
+ */
+function isListening(port) {
+  return get(port, '/metrics').then(
+    () => true,
+    () => false
+  );
+}
+
+module.exports = {
+  'observe counts a duration in every bucket it fits'() {
+    let histogram = metrics.createHistogram();
+
+    metrics.observe(histogram, 0.2);
+    metrics.observe(histogram, 10);
+
+    assert.strictEqual(histogram.count, 2);
+    assert.strictEqual(histogram.sum, 10.2);
+    assert.strictEqual(histogram.buckets['0.1'], 0);
+    assert.strictEqual(histogram.buckets['0.25'], 1);
+    assert.strictEqual(histogram.buckets['5'], 1);
+  },
+
+  'formatMetrics labels each queue and filter reason, and escapes label values'() {
+    const text = metrics.formatMetrics(
+      {
+        id: 'dock "A"',
+        started: true,
+        server: { checks: 1, failures: 1 },
+        queues: {
+          item: createQueueStatus({
+            state: 'connected',
+            received: 5,
+            filteredBy: { ignoreAbsent: 2 },
+            lastMessageAge: 1500
+          })
+        }
+      },
+      metrics.createHistogram()
+    );
+    const connector = 'connector="dock \\"A\\""';
+
+    assert.ok(text.endsWith('\n'));
+    assert.ok(text.includes(`itemsense_connector_up{${connector}} 1`));
+    assert.ok(
+      text.includes(
+        `itemsense_connector_messages_received_total{${connector},queue="item"} 5`
+      )
+    );
+    assert.ok(
+      text.includes(
+        `itemsense_connector_messages_filtered_total{${connector},queue="item",reason="ignoreAbsent"} 2`
+      )
+    );
+    assert.ok(
+      text.includes(
+        `itemsense_connector_message_age_seconds{${connector},queue="item"} 1.5`
+      )
+    );
+    assert.ok(
+      text.includes(
+        `itemsense_connector_server_available_failures_total{${connector}} 1`
+      )
+    );
+  },
+
+  'a queue without messages has an age of NaN'() {
+    const text = metrics.formatMetrics(
+      {
+        id: 'c',
+        started: false,
+        server: { checks: 0, failures: 0 },
+        queues: { health: createQueueStatus({}) }
+      },
+      metrics.createHistogram()
+    );
+
+    assert.ok(
+      text.includes(
+        'itemsense_connector_message_age_seconds{connector="c",queue="health"} NaN'
+      )
+    );
+  },
+
+  async 'the server only serves GET /metrics'() {
+    const server = await metrics.createMetricsServer(() => 'metrics\n', {
+      port: 0,
+      hostname: '127.0.0.1'
+    });
+    const port = server.address().port;
+
+    try {
+      assert.deepStrictEqual(await get(port, '/metrics?x=1'), {
+        statusCode: 200,
+        body: 'metrics\n'
+      });
+      assert.strictEqual((await get(port, '/')).statusCode, 404);
+    } finally {
+      server.close();
+    }
+  },
+
+  async 'a metrics server that listens after the connector is shutdown is closed'() {
+    const stub = createConnectorStub();
+    const connector = stub.iqc.createConnector();
+    const port = await freePort();
+
+    const starting = connector.start(
+      Object.assign(
+        { metricsPort: port, metricsHostname: '127.0.0.1' },
+        ITEM_ONLY
+      )
+    );
+
+    await connector.shutdown();
+    await starting.catch(() => {});
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    assert.strictEqual(await isListening(port), false);
+  },
+
+  async 'changing the metricsPort while the server starts only serves the new port'() {
+    const stub = createConnectorStub();
+    const connector = stub.iqc.createConnector();
+    const recorded = recordEvents(connector, ['info']);
+    const first = await freePort();
+    const second = await freePort();
+
+    const starting = connector.start(
+      Object.assign(
+        { metricsPort: first, metricsHostname: '127.0.0.1' },
+        ITEM_ONLY
+      )
+    );
+
+    connector.updateOptions({ metricsPort: second });
+    await starting;
+    await waitFor(() =>
+      recorded.some(e => e.data === `Serving metrics on port ${second}.`)
+    );
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    const listening = [await isListening(first), await isListening(second)];
+
+    await connector.shutdown();
+
+    assert.deepStrictEqual(listening, [false, true]);
+    assert.strictEqual(
+      recorded.filter(e => /^Serving metrics/.test(e.data)).length,
+      1
+    );
+    assert.strictEqual(await isListening(second), false);
+  }
+};
@@ -0,0 +1,119 @@
+'use strict';
+
+const assert = require('assert');
+const validation = require('../lib/options-validation');
+const iqc = require('../');
+
+module.exports = {
+  'validators return no problems for valid values'() {
+    assert.deepStrictEqual(validation.string()('a', 'name'), []);
+    assert.deepStrictEqual(validation.number({ min: 0 })(0, 'port'), []);
+    assert.deepStrictEqual(validation.boolean()(false, 'flag'), []);
+    assert.deepStrictEqual(
+      validation.func()(() => {}, 'fn'),
+      []
+    );
+    assert.deepStrictEqual(validation.oneOf(['a', 'b'])('b', 'mode'), []);
+    assert.deepStrictEqual(validation.buffer()(Buffer.from('x'), 'ca'), []);
+    assert.deepStrictEqual(validation.nullable(validation.string())(null), []);
+  },
+
+  'validators describe the problem with the path and value'() {
+    assert.deepStrictEqual(validation.string()(1, 'name'), [
+      'name must be a String, received 1'
+    ]);
+    assert.deepStrictEqual(validation.string({ nonEmpty: true })('', 'name'), [
+      'name must not be empty'
+    ]);
+    assert.deepStrictEqual(validation.number({ integer: true })(1.5, 'n'), [
+      'n must be an integer, received 1.5'
+    ]);
+    assert.deepStrictEqual(validation.number({ max: 10 })(11, 'n'), [
+      'n must be at most 10, received 11'
+    ]);
+    assert.deepStrictEqual(validation.number()(NaN, 'n'), [
+      'n must be a Number, received NaN'
+    ]);
+    assert.deepStrictEqual(validation.oneOf(['a', 'b'])(null, 'mode'), [
+      'mode must be one of a, b, received null'
+    ]);
+  },
+
+  'anyOf passes when one validator passes, and joins the problems otherwise'() {
+    const validator = validation.anyOf(
+      validation.string(),
+      validation.arrayOf(validation.string())
+    );
+
+    assert.deepStrictEqual(validator('a', 'v'), []);
+    assert.deepStrictEqual(validator(['a'], 'v'), []);
+    assert.deepStrictEqual(validator(1, 'v'), [
+      'v must be a String, received 1 or v must be an Array, received 1'
+    ]);
+  },
+
+  'object reports nested paths and unknown properties'() {
+    const validator = validation.object({
+      list: validation.arrayOf(validation.number())
+    });
+
+    assert.deepStrictEqual(validator({ list: [1, 'x'], other: 1 }, 'opt'), [
+      "opt.list[1] must be a Number, received 'x'",
+      'opt.other is not a known property'
+    ]);
+    assert.deepStrictEqual(
+      validation.object({}, { allowUnknown: true })({ other: 1 }, 'opt'),
+      []
+    );
+    assert.deepStrictEqual(validator([], 'opt'), [
+      'opt must be an Object, received an Array'
+    ]);
+  },
+
+  'refine only runs its check when the validator passes'() {
+    let checked = 0;
+    const validator = validation.refine(validation.string(), () => {
+      checked++;
+      return ['checked'];
+    });
+
+    assert.deepStrictEqual(validator(1, 'v'), [
+      'v must be a String, received 1'
+    ]);
+    assert.strictEqual(checked, 0);
+    assert.deepStrictEqual(validator('a', 'v'), ['checked']);
+  },
+
+  'validateOptions reports every error, and unknown options as warnings'() {
+    const result = iqc.validateOptions({
+      port: 'x',
+      bogus: 1,
+      queues: { item: { prefetch: -1 } }
+    });
+
+    assert.deepStrictEqual(result.errors, [
+      "port must be a Number, received 'x'",
+      'queues.item.prefetch must be at least 0, received -1'
+    ]);
+    assert.deepStrictEqual(result.warnings, [
+      'bogus is not a known option and will be ignored'
+    ]);
+  },
+
+  'validateOptions passes the default options'() {
+    assert.deepStrictEqual(iqc.validateOptions(iqc.createOptions()), {
+      errors: [],
+      warnings: []
+    });
+  },
+
+  'createOptions throws a ValidationError that lists the problems'() {
+    assert.throws(
+      () => iqc.createOptions({ port: -1 }),
+      err =>
+        err.name === 'ValidationError' &&
+        err.errors.length === 1 &&
+        /port must be at least 1/.test(err.message)
+    );
+  }
+};
@@ -0,0 +1,130 @@
+'use strict';
+
+const assert = require('assert');
+const {
+  createConnectorStub,
+  waitFor,
+  recordEvents,
+  startItemQueue
+} = require('./helpers/connector-stub');
+
+module.exports = {
+  async 'pause stops consuming a queue without closing its connection, and resume consumes it again'() {
+    const { stub, connector, recorded, queueName, channel } =
+      await startItemQueue({}, ['queuePaused', 'queueResumed']);
+
+    await connector.pause('item');
+
+    const paused = connector.getStatus().queues.item.state;
+    const consumedWhilePaused = !!stub.consumerOf(queueName);
+
+    await connector.resume('item');
+    await waitFor(() => stub.consumerOf(queueName));
+    await connector.shutdown();
+
+    assert.strictEqual(paused, 'paused');
+    assert.strictEqual(consumedWhilePaused, false);
+    assert.strictEqual(stub.consumerOf(queueName), channel);
+    assert.strictEqual(stub.connections.length, 1);
+    assert.strictEqual(stub.queues.length, 1);
+    assert.deepStrictEqual(
+      recorded
+        .filter(e => e.name === 'queuePaused' || e.name === 'queueResumed')
+        .map(e => [e.name, e.data.queue, e.data.queueName]),
+      [
+        ['queuePaused', 'item', queueName],
+        ['queueResumed', 'item', queueName]
+      ]
+    );
+  },
+
+  async 'pause and resume without a queue apply to every enabled queue'() {
+    const { stub, connector } = await startItemQueue({
+      itemSubscriptions: [{ name: 'dock', filter: { toZone: 'DOCK' } }]
+    });
+
+    await waitFor(() => stub.queues.length === 2);
+    await waitFor(() => stub.consumerOf(stub.queues[1].queueName));
+    await connector.pause();
+
+    const states = Object.keys(connector.getStatus().queues).map(
+      key => connector.getStatus().queues[key].state
+    );
+
+    await connector.resume();
+    await waitFor(() => stub.queues.every(q => stub.consumerOf(q.queueName)));
+    await connector.shutdown();
+
+    assert.deepStrictEqual(states, [
+      'paused',
+      'disabled',
+      'disabled',
+      'paused'
+    ]);
+  },
+
+  async 'a queue paused while it connects is not consumed until it is resumed'() {
+    const stub = createConnectorStub();
+    const connector = stub.iqc.createConnector();
+    const recorded = recordEvents(connector, ['itemQueueConnected']);
+
+    connector.start({
+      queues: { threshold: { enabled: false }, health: { enabled: false } }
+    });
+    await connector.pause('item');
+    await waitFor(() => connector.getStatus().queues.item.state === 'paused');
+
+    const consumedWhilePaused = stub.channels().length
+      ? !!stub.consumerOf(stub.queues[0].queueName)
+      : false;
+
+    await connector.resume('item');
+    await waitFor(() => recorded.length === 1);
+    await connector.shutdown();
+
+    assert.strictEqual(consumedWhilePaused, false);
+  },
+
+  async 'pausing or resuming a queue that does not exist rejects'() {
+    const { connector } = await startItemQueue();
+
+    await assert.rejects(
+      connector.pause('yard'),
+      /Queue \[ yard \] does not exist/
+    );
+    await assert.rejects(connector.resume('item:yard'), /does not exist/);
+    await connector.shutdown();
+  },
+
+  async 'a pause or resume command that fails replies with a commandError event'() {
+    const listeners = process.listeners('message');
+
+    let sent = [];
+
+    process.send = message => sent.push(message);
+    try {
+      createConnectorStub();
+      process.emit('message', { command: 'pause', queue: 'yard' });
+      process.emit('message', { command: 'resume' });
+      await waitFor(() => sent.length === 1);
+    } finally {
+      delete process.send;
+      for (let listener of process.listeners('message')) {
+        if (listeners.indexOf(listener) === -1) {
+          process.removeListener('message', listener);
+        }
+      }
+    }
+
+    assert.deepStrictEqual(sent, [
+      {
+        event: 'commandError',
+        data: {
+          command: 'pause',
+          queue: 'yard',
+          message: 'Queue [ yard ] does not exist.'
+        }
+      }
+    ]);
+  }
+};
@@ -0,0 +1,171 @@
+'use strict';
+
+const assert = require('assert');
+const presenceTracker = require('../lib/presence-tracker');
+const { startItemQueue } = require('./helpers/connector-stub');
+const { itemMessage } = require('./helpers/messages');
+
+module.exports = {
+  'an item that is seen for the first time enters its zone from ABSENT'() {
+    const tracker = presenceTracker.createPresenceTracker();
+    const transitions = tracker.update(itemMessage('E1', 'A', 0));
+
+    assert.deepStrictEqual(
+      transitions.map(t => [t.type, t.item.zone, t.fromZone]),
+      [['enter', 'A', 'ABSENT']]
+    );
+    assert.strictEqual(tracker.getItem('E1').zone, 'A');
+    assert.deepStrictEqual(tracker.getZoneCounts(), { A: 1 });
+  },
+
+  'moving to another zone exits before it enters'() {
+    const tracker = presenceTracker.createPresenceTracker();
+
+    tracker.update(itemMessage('E1', 'A', 0));
+
+    const transitions = tracker.update(itemMessage('E1', 'B', 1));
+
+    assert.deepStrictEqual(
+      transitions.map(t => [t.type, t.item.zone, t.toZone || t.fromZone]),
+      [
+        ['exit', 'A', 'B'],
+        ['enter', 'B', 'A']
+      ]
+    );
+    assert.deepStrictEqual(tracker.getZoneContents('A'), []);
+    assert.deepStrictEqual(
+      tracker.getZoneContents('B').map(item => item.epc),
+      ['E1']
+    );
+  },
+
+  'a message for the same zone only updates the item'() {
+    const tracker = presenceTracker.createPresenceTracker();
+
+    tracker.update(itemMessage('E1', 'A', 0));
+
+    assert.deepStrictEqual(tracker.update(itemMessage('E1', 'A', 5)), []);
+    assert.strictEqual(
+      tracker.getItem('E1').observationTime,
+      itemMessage('E1', 'A', 5).observationTime
+    );
+  },
+
+  'an ABSENT item is removed, and an unknown ABSENT item is ignored'() {
+    const tracker = presenceTracker.createPresenceTracker();
+
+    tracker.update(itemMessage('E1', 'A', 0));
+
+    assert.deepStrictEqual(
+      tracker
+        .update(itemMessage('E1', 'ABSENT', 1))
+        .map(t => [t.type, t.toZone]),
+      [['exit', 'ABSENT']]
+    );
+    assert.strictEqual(tracker.getItem('E1'), null);
+    assert.deepStrictEqual(tracker.getZoneCounts(), {});
+    assert.deepStrictEqual(tracker.update(itemMessage('E2', 'ABSENT', 1)), []);
+  },
+
+  'a message observed before the last one is ignored'() {
+    const tracker = presenceTracker.createPresenceTracker();
+
+    tracker.update(itemMessage('E1', 'B', 10));
+
+    assert.deepStrictEqual(tracker.update(itemMessage('E1', 'A', 5)), []);
+    assert.deepStrictEqual(tracker.update(itemMessage('E1', 'ABSENT', 5)), []);
+    assert.strictEqual(tracker.getItem('E1').zone, 'B');
+  },
+
+  'seed adds an item without a transition'() {
+    const tracker = presenceTracker.createPresenceTracker();
+
+    tracker.seed({
+      epc: 'E1',
+      zone: 'A',
+      floor: null,
+      facility: 'F1',
+      x: null,
+      y: null,
+      observationTime: itemMessage('E1', 'A', 0).observationTime
+    });
+
+    assert.strictEqual(tracker.getItem('E1').zone, 'A');
+    assert.deepStrictEqual(
+      tracker.update(itemMessage('E1', 'B', 1)).map(t => t.type),
+      ['exit', 'enter']
+    );
+  },
+
+  'seed does not replace an item a newer message moved'() {
+    const tracker = presenceTracker.createPresenceTracker();
+
+    tracker.update(itemMessage('E1', 'B', 10));
+    tracker.seed({
+      epc: 'E1',
+      zone: 'A',
+      facility: 'F1',
+      observationTime: itemMessage('E1', 'A', 5).observationTime
+    });
+    assert.strictEqual(tracker.getItem('E1').zone, 'B');
+
+    tracker.seed({
+      epc: 'E1',
+      zone: 'C',
+      facility: 'F1',
+      observationTime: itemMessage('E1', 'C', 20).observationTime
+    });
+    assert.strictEqual(tracker.getItem('E1').zone, 'C');
+    assert.deepStrictEqual(tracker.getZoneCounts(), { C: 1 });
+  },
+
+  'the results are copies'() {
+    const tracker = presenceTracker.createPresenceTracker();
+
+    tracker.update(itemMessage('E1', 'A', 0));
+    tracker.getItem('E1').zone = 'X';
+    tracker.getSnapshot().items[0].zone = 'X';
+
+    assert.strictEqual(tracker.getItem('E1').zone, 'A');
+    assert.deepStrictEqual(
+      JSON.parse(JSON.stringify(tracker.getSnapshot().items)),
+      [tracker.getItem('E1')]
+    );
+  },
+
+  async 'the connector emits zoneExit and zoneEnter, and an ignored ABSENT message still removes the item'() {
+    const { stub, connector, recorded, queueName } = await startItemQueue(
+      { trackPresence: true, ignoreAbsent: true },
+      ['zoneEnter', 'zoneExit', 'itemQueueMessage']
+    );
+
+    stub.deliver(queueName, itemMessage('E1', 'A', 0));
+    stub.deliver(queueName, itemMessage('E1', 'B', 1));
+
+    const counts = connector.getZoneCounts();
+
+    stub.deliver(queueName, itemMessage('E1', 'ABSENT', 2));
+
+    const item = connector.getItem('E1');
+
+    await connector.shutdown();
+
+    assert.deepStrictEqual(
+      recorded
+        .filter(e => e.name === 'zoneEnter' || e.name === 'zoneExit')
+        .map(e => [e.name, e.data.zone]),
+      [
+        ['zoneEnter', 'A'],
+        ['zoneExit', 'A'],
+        ['zoneEnter', 'B'],
+        ['zoneExit', 'B']
+      ]
+    );
+    assert.deepStrictEqual(counts, { B: 1 });
+    assert.strictEqual(item, null);
+    assert.strictEqual(
+      recorded.filter(e => e.name === 'itemQueueMessage').length,
+      2
+    );
+  }
+};
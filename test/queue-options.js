@@ -0,0 +1,99 @@
+'use strict';
+
+const assert = require('assert');
+const {
+  createConnectorStub,
+  waitFor,
+  recordEvents
+} = require('./helpers/connector-stub');
+const { itemMessage } = require('./helpers/messages');
+
+module.exports = {
+  async 'a disabled queue is not created or consumed'() {
+    const stub = createConnectorStub();
+    const connector = stub.iqc.createConnector();
+    const recorded = recordEvents(connector, [
+      'itemQueueConnected',
+      'thresholdQueueConnected',
+      'healthQueueConnected'
+    ]);
+
+    connector.start({
+      queues: { threshold: { enabled: false }, health: { enabled: false } }
+    });
+    await waitFor(() => recorded.length === 1);
+    await connector.shutdown();
+
+    assert.strictEqual(recorded[0].name, 'itemQueueConnected');
+    assert.deepStrictEqual(
+      stub.queues.map(queue => queue.type),
+      ['item']
+    );
+    assert.strictEqual(stub.connections.length, 1);
+  },
+
+  async 'queue options override the flat options'() {
+    const stub = createConnectorStub();
+    const connector = stub.iqc.createConnector();
+    const recorded = recordEvents(connector, [
+      'itemQueueConnected',
+      'itemQueueMessage'
+    ]);
+
+    connector.start({
+      itemQueueFilter: { toZone: 'B' },
+      ignoreAbsent: false,
+      queues: {
+        item: { filter: { toZone: 'A' }, ignoreAbsent: true },
+        threshold: { enabled: false },
+        health: { enabled: false }
+      }
+    });
+    await waitFor(() => recorded.length === 1);
+    stub.deliver(stub.queues[0].queueName, itemMessage('E1', 'ABSENT'));
+    stub.deliver(stub.queues[0].queueName, itemMessage('E2', 'A'));
+    await connector.shutdown();
+
+    assert.deepStrictEqual(stub.queues[0].filter, { toZone: 'A' });
+    assert.deepStrictEqual(
+      recorded.filter(e => e.name === 'itemQueueMessage').map(e => e.data.epc),
+      ['E2']
+    );
+  },
+
+  async 'the flat options apply to every queue that does not override them'() {
+    const stub = createConnectorStub();
+    const connector = stub.iqc.createConnector();
+    const recorded = recordEvents(connector, [
+      'itemQueueConnected',
+      'healthQueueConnected',
+      'itemQueueMessage',
+      'healthQueueMessage'
+    ]);
+
+    connector.start({
+      itemQueueFilter: { toZone: 'B' },
+      ignoreAbsent: true,
+      queues: { threshold: { enabled: false } }
+    });
+    await waitFor(() => recorded.length === 2);
+
+    const itemQueue = stub.queues.find(queue => queue.type === 'item');
+    const healthQueue = stub.queues.find(queue => queue.type === 'health');
+
+    stub.deliver(itemQueue.queueName, itemMessage('E1', 'ABSENT'));
+    // health messages have no toZone, so ignoreAbsent never applies to them
+    stub.deliver(healthQueue.queueName, {
+      type: 'CONNECTION',
+      toZone: 'ABSENT',
+      eventTime: new Date().toISOString()
+    });
+    await connector.shutdown();
+
+    assert.deepStrictEqual(itemQueue.filter, { toZone: 'B' });
+    assert.deepStrictEqual(
+      recorded.filter(e => /Message$/.test(e.name)).map(e => e.name),
+      ['healthQueueMessage']
+    );
+  }
+};
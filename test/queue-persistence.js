@@ -0,0 +1,138 @@
+'use strict';
+
+const assert = require('assert');
+const {
+  createConnectorStub,
+  waitFor,
+  recordEvents
+} = require('./helpers/connector-stub');
+const stateStores = require('../lib/state-store');
+
+const ITEM_ONLY = {
+  queues: { threshold: { enabled: false }, health: { enabled: false } }
+};
+
+/**
+ * @returns {*} a state store that keeps the saved values in memory
+ */
+function createMemoryStore() {
+  const values = {};
+
+  return {
+    values,
+    load: key => values[key],
+    save: (key, value) => {
+      values[key] = value;
+    }
+  };
+}
+
+/**
+ *
+ * @param {*} stub - the connector stub
+ * @param {*} options - the connector options
+ * @returns {Promise} resolves with the name of the queue once the connector consumes it, and the connector is shutdown
+ */
+async function consumeItemQueue(stub, options) {
+  const connector = stub.iqc.createConnector();
+  const recorded = recordEvents(connector, ['itemQueueConnected']);
+
+  connector.start(Object.assign({}, ITEM_ONLY, options));
+  await waitFor(() => recorded.some(e => e.name === 'itemQueueConnected'));
+  await connector.shutdown();
+
+  return recorded.find(e => e.name === 'itemQueueConnected').data;
+}
+
+module.exports = {
+  async 'a restarted connector resumes the queue it created'() {
+    const stub = createConnectorStub();
+    const stateStore = createMemoryStore();
+    const options = {
+      id: 'dock',
+      itemQueueFilter: { toZone: 'A' },
+      stateStore
+    };
+
+    const created = await consumeItemQueue(stub, options);
+
+    await waitFor(() => stateStore.values['dock:item']);
+
+    const resumed = await consumeItemQueue(stub, options);
+
+    assert.strictEqual(resumed, created);
+    assert.strictEqual(stub.queues.length, 1);
+    assert.strictEqual(stateStore.values['dock:item'].queueName, created);
+  },
+
+  async 'the stored queue is not used when the filter changed, or by another id'() {
+    const stub = createConnectorStub();
+    const stateStore = createMemoryStore();
+
+    await consumeItemQueue(stub, {
+      id: 'dock',
+      itemQueueFilter: { toZone: 'A' },
+      stateStore
+    });
+    await waitFor(() => stateStore.values['dock:item']);
+    await consumeItemQueue(stub, {
+      id: 'dock',
+      itemQueueFilter: { toZone: 'B' },
+      stateStore
+    });
+    await consumeItemQueue(stub, {
+      id: 'yard',
+      itemQueueFilter: { toZone: 'B' },
+      stateStore
+    });
+
+    assert.strictEqual(stub.queues.length, 3);
+  },
+
+  async 'a stored queue that no longer exists is replaced'() {
+    const stub = createConnectorStub();
+    const stateStore = createMemoryStore();
+    const options = { id: 'dock', stateStore };
+
+    const created = await consumeItemQueue(stub, options);
+
+    stub.missingQueues.push(created);
+
+    const replaced = await consumeItemQueue(stub, options);
+
+    assert.notStrictEqual(replaced, created);
+    assert.strictEqual(stateStore.values['dock:item'].queueName, replaced);
+  },
+
+  async 'a file state store is created once per start, not on every reconnect'() {
+    const stub = createConnectorStub();
+    const connector = stub.iqc.createConnector();
+    const recorded = recordEvents(connector, ['queueReattached']);
+    const createFileStateStore = stateStores.createFileStateStore;
+
+    let created = [];
+
+    stateStores.createFileStateStore = path => {
+      created.push(path);
+      return createMemoryStore();
+    };
+    try {
+      await connector.start(
+        Object.assign(
+          { stateStore: 'queues.json', connectionRetryInterval: 1000 },
+          ITEM_ONLY
+        )
+      );
+      stub.connections[0].drop(new Error('Unexpected close'));
+      await waitFor(
+        () => recorded.some(e => e.name === 'queueReattached'),
+        3000
+      );
+      await connector.shutdown();
+    } finally {
+      stateStores.createFileStateStore = createFileStateStore;
+    }
+
+    assert.deepStrictEqual(created, ['queues.json']);
+  }
+};
@@ -0,0 +1,99 @@
+'use strict';
+
+const assert = require('assert');
+const { waitFor, startItemQueue } = require('./helpers/connector-stub');
+const { itemMessage } = require('./helpers/messages');
+
+module.exports = {
+  async 'messages iterates over the queue messages, and ends when the connector is shutdown'() {
+    const { stub, connector, queueName } = await startItemQueue();
+
+    const iterator = connector.messages('item');
+
+    stub.deliver(queueName, itemMessage('E1'));
+    stub.deliver(queueName, itemMessage('E2'));
+
+    const first = await iterator.next();
+    const second = await iterator.next();
+    const ending = iterator.next();
+
+    await connector.shutdown();
+
+    assert.strictEqual(first.value.epc, 'E1');
+    assert.strictEqual(second.value.epc, 'E2');
+    assert.deepStrictEqual(await ending, { value: undefined, done: true });
+  },
+
+  async 'a full stream pauses its queue, and resumes it once it is read'() {
+    const { stub, connector, recorded, queueName, channel } =
+      await startItemQueue({}, ['queuePaused', 'queueResumed']);
+
+    const readable = connector.createReadStream('item', { highWaterMark: 2 });
+
+    stub.deliver(queueName, itemMessage('E1'));
+    stub.deliver(queueName, itemMessage('E2'));
+    await waitFor(() => connector.getStatus().queues.item.state === 'paused');
+
+    const consumedWhileFull = !!stub.consumerOf(queueName);
+    const read = [readable.read(), readable.read()].map(m => m.epc);
+
+    await waitFor(() => stub.consumerOf(queueName));
+    await connector.shutdown();
+
+    assert.strictEqual(consumedWhileFull, false);
+    assert.deepStrictEqual(read, ['E1', 'E2']);
+    assert.strictEqual(stub.consumerOf(queueName), channel);
+    assert.deepStrictEqual(
+      recorded
+        .filter(e => e.name === 'queuePaused' || e.name === 'queueResumed')
+        .map(e => e.name),
+      ['queuePaused', 'queueResumed']
+    );
+  },
+
+  async 'a full stream that is destroyed no longer holds its queue'() {
+    const { stub, connector, queueName } = await startItemQueue();
+
+    const readable = connector.createReadStream('item', { highWaterMark: 1 });
+
+    stub.deliver(queueName, itemMessage('E1'));
+    await waitFor(() => connector.getStatus().queues.item.state === 'paused');
+    readable.destroy();
+    await waitFor(() => stub.consumerOf(queueName));
+    await connector.shutdown();
+
+    assert.strictEqual(connector.listenerCount('itemQueueMessage'), 0);
+  },
+
+  async 'an item subscription stream has the subscription messages'() {
+    const { stub, connector } = await startItemQueue({
+      itemSubscriptions: [{ name: 'dock', filter: { toZone: 'DOCK' } }]
+    });
+
+    await waitFor(() => stub.queues.length === 2);
+    await waitFor(() => stub.consumerOf(stub.queues[1].queueName));
+
+    const iterator = connector.messages('item:dock');
+
+    stub.deliver(stub.queues[0].queueName, itemMessage('E1'));
+    stub.deliver(stub.queues[1].queueName, itemMessage('E2', 'DOCK'));
+
+    const { value } = await iterator.next();
+
+    await connector.shutdown();
+
+    assert.strictEqual(value.epc, 'E2');
+    assert.strictEqual(value.toZone, 'DOCK');
+    assert.strictEqual(value.subscription, undefined);
+  },
+
+  async 'a stream of a queue that does not exist throws'() {
+    const { connector } = await startItemQueue();
+
+    assert.throws(
+      () => connector.createReadStream('yard'),
+      /Queue \[ yard \] does not exist/
+    );
+    await connector.shutdown();
+  }
+};
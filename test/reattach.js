@@ -0,0 +1,162 @@
+'use strict';
+
+const assert = require('assert');
+const {
+  createConnectorStub,
+  waitFor,
+  recordEvents,
+  startItemQueue
+} = require('./helpers/connector-stub');
+const { itemMessage } = require('./helpers/messages');
+
+const EVENTS = ['queueReattached', 'queueRecreated', 'serverRestarted'];
+
+/**
+ *
+ * @param {*} stub - the connector stub
+ *
+ * Drops the newest AMQP connection, the way the network does
+ */
+function dropConnection(stub) {
+  stub.connections[stub.connections.length - 1].drop(
+    new Error('Unexpected close')
+  );
+}
+
+module.exports = {
+  async 'the same queue is consumed again after a network interruption'() {
+    const { stub, connector, recorded, queueName } = await startItemQueue(
+      { connectionRetryInterval: 1000 },
+      EVENTS
+    );
+
+    dropConnection(stub);
+    await waitFor(() => recorded.some(e => e.name === 'queueReattached'), 3000);
+    await connector.shutdown();
+
+    assert.strictEqual(stub.queues.length, 1);
+    assert.strictEqual(stub.connections.length, 2);
+    assert.deepStrictEqual(
+      recorded.find(e => e.name === 'queueReattached').data,
+      { queue: 'item', queueName }
+    );
+  },
+
+  async 'a reattached queue that delivers nothing while ItemSense has data for it is replaced'() {
+    const { stub, connector, recorded, queueName } = await startItemQueue(
+      { connectionRetryInterval: 1000, reattachCheckDelay: 50 },
+      EVENTS
+    );
+
+    stub.requests.showItemHistory = async () => ({
+      history: [{ epc: 'E1' }]
+    });
+    dropConnection(stub);
+    await waitFor(() => recorded.some(e => e.name === 'queueRecreated'), 3000);
+    await connector.shutdown();
+
+    assert.deepStrictEqual(
+      recorded.filter(e => EVENTS.indexOf(e.name) !== -1).map(e => e.name),
+      ['queueReattached', 'queueRecreated']
+    );
+    assert.strictEqual(
+      recorded.find(e => e.name === 'queueRecreated').data.previousQueueName,
+      queueName
+    );
+    assert.strictEqual(stub.queues.length, 2);
+  },
+
+  async 'a new queue is created when the serverIdentity changed'() {
+    let identity = 'boot-1';
+
+    const { stub, connector, recorded, queueName } = await startItemQueue(
+      {
+        connectionRetryInterval: 1000,
+        serverIdentity: async () => identity
+      },
+      EVENTS
+    );
+
+    identity = 'boot-2';
+    dropConnection(stub);
+    await waitFor(() => stub.queues.length === 2, 3000);
+    await waitFor(() => stub.consumerOf(stub.queues[1].queueName));
+    await connector.shutdown();
+
+    assert.deepStrictEqual(
+      recorded.filter(e => e.name === 'serverRestarted').map(e => e.data),
+      [{ queue: 'item', previousIdentity: 'boot-1', identity: 'boot-2' }]
+    );
+    assert.ok(!recorded.some(e => e.name === 'queueReattached'));
+    assert.strictEqual(stub.consumerOf(queueName), undefined);
+  },
+  async 'a reattached queue is checked again until ItemSense has data it did not deliver'() {
+    const { stub, connector, recorded } = await startItemQueue(
+      { connectionRetryInterval: 1000, reattachCheckDelay: 50 },
+      EVENTS
+    );
+
+    let probes = 0;
+
+    stub.requests.showItemHistory = async () => ({
+      history: ++probes < 3 ? [] : [{ epc: 'E1' }]
+    });
+    dropConnection(stub);
+    await waitFor(() => recorded.some(e => e.name === 'queueRecreated'), 3000);
+    await connector.shutdown();
+
+    assert.strictEqual(probes, 3);
+    assert.strictEqual(stub.queues.length, 2);
+  },
+
+  async 'a reattached queue is no longer checked once it delivers a message'() {
+    const { stub, connector, recorded, queueName } = await startItemQueue(
+      { connectionRetryInterval: 1000, reattachCheckDelay: 50 },
+      EVENTS
+    );
+
+    let probes = 0;
+
+    stub.requests.showItemHistory = async () => {
+      probes++;
+      return { history: [] };
+    };
+    dropConnection(stub);
+    await waitFor(() => probes === 1, 3000);
+    stub.deliver(queueName, itemMessage('E1'));
+    await new Promise(resolve => setTimeout(resolve, 150));
+    await connector.shutdown();
+
+    assert.strictEqual(probes, 1);
+    assert.ok(!recorded.some(e => e.name === 'queueRecreated'));
+  },
+
+  async 'the runningJobs serverIdentity changes when the running ItemSense jobs do'() {
+    let jobs = [
+      { id: 'job-2', status: 'RUNNING' },
+      { id: 'job-1', status: 'RUNNING' },
+      { id: 'job-0', status: 'STOPPED' }
+    ];
+
+    const stub = createConnectorStub();
+    const connector = stub.iqc.createConnector();
+    const recorded = recordEvents(connector, EVENTS);
+
+    stub.requests.showJobs = async () => jobs;
+    await connector.start({
+      connectionRetryInterval: 1000,
+      serverIdentity: stub.iqc.serverIdentity.runningJobs,
+      queues: { threshold: { enabled: false }, health: { enabled: false } }
+    });
+
+    jobs = [{ id: 'job-3', status: 'RUNNING' }];
+    dropConnection(stub);
+    await waitFor(() => recorded.some(e => e.name === 'serverRestarted'), 3000);
+    await connector.shutdown();
+
+    assert.deepStrictEqual(
+      recorded.find(e => e.name === 'serverRestarted').data,
+      { queue: 'item', previousIdentity: 'job-1,job-2', identity: 'job-3' }
+    );
+  }
+};
@@ -0,0 +1,91 @@
+'use strict';
+
+const assert = require('assert');
+const retryPolicies = require('../lib/retry-policies');
+
+const { policy, getRetryDelay } = retryPolicies;
+
+module.exports = {
+  'fixed always waits the interval'() {
+    const options = { policy: policy.fixed, interval: 1000, maxInterval: 0 };
+
+    assert.strictEqual(getRetryDelay(options, 1, 0), 1000);
+    assert.strictEqual(getRetryDelay(options, 10, 1000), 1000);
+  },
+
+  'exponential doubles up to maxInterval'() {
+    const options = {
+      policy: policy.exponential,
+      interval: 1000,
+      maxInterval: 5000
+    };
+
+    assert.deepStrictEqual(
+      [1, 2, 3, 4, 5].map(attempt => getRetryDelay(options, attempt, 0)),
+      [1000, 2000, 4000, 5000, 5000]
+    );
+  },
+
+  'maxInterval below the interval does not shorten the interval'() {
+    const options = {
+      policy: policy.exponential,
+      interval: 1000,
+      maxInterval: 10
+    };
+
+    assert.strictEqual(getRetryDelay(options, 3, 0), 1000);
+  },
+
+  'decorrelatedJitter stays between the interval and 3 times the previous delay'() {
+    const options = {
+      policy: policy.decorrelatedJitter,
+      interval: 1000,
+      maxInterval: 60000
+    };
+
+    let previous = 0;
+
+    for (let attempt = 1; attempt <= 50; attempt++) {
+      const delay = getRetryDelay(options, attempt, previous);
+
+      assert.ok(delay >= 1000, `${delay} is shorter than the interval`);
+      assert.ok(
+        delay <= Math.max(1000, (previous || 1000) * 3),
+        `${delay} is longer than 3 times ${previous}`
+      );
+      assert.ok(delay <= 60000, `${delay} is longer than maxInterval`);
+      previous = delay;
+    }
+  },
+
+  'a policy Function is called with the attempt and previous delay, and never waits less than the interval'() {
+    let calls = [];
+    const options = {
+      policy: (attempt, previousDelay) => {
+        calls.push([attempt, previousDelay]);
+        return attempt * 100;
+      },
+      interval: 1000,
+      maxInterval: 0
+    };
+
+    assert.strictEqual(getRetryDelay(options, 2, 1000), 1000);
+    assert.strictEqual(getRetryDelay(options, 20, 1000), 2000);
+    assert.deepStrictEqual(calls, [
+      [2, 1000],
+      [20, 1000]
+    ]);
+  },
+
+  'a policy Function that does not return a finite Number waits the interval'() {
+    const delays = [undefined, NaN, Infinity, '5000', null].map(value =>
+      getRetryDelay(
+        { policy: () => value, interval: 1000, maxInterval: 0 },
+        1,
+        0
+      )
+    );
+
+    assert.deepStrictEqual(delays, [1000, 1000, 1000, 1000, 1000]);
+  }
+};
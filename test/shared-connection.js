@@ -0,0 +1,83 @@
+'use strict';
+
+const assert = require('assert');
+const {
+  createConnectorStub,
+  waitFor,
+  recordEvents
+} = require('./helpers/connector-stub');
+
+const CONNECTED_EVENTS = [
+  'itemQueueConnected',
+  'thresholdQueueConnected',
+  'healthQueueConnected'
+];
+
+module.exports = {
+  async 'sharedConnection consumes every queue over one connection, with a channel per queue'() {
+    const stub = createConnectorStub();
+    const connector = stub.iqc.createConnector();
+    const recorded = recordEvents(connector, CONNECTED_EVENTS);
+    const isServerAvailable = stub.requests.isServerAvailable;
+
+    let serverChecks = 0;
+
+    stub.requests.isServerAvailable = options => {
+      serverChecks++;
+      return isServerAvailable(options);
+    };
+    connector.start({ sharedConnection: true });
+    await waitFor(() => recorded.length === 3);
+    await connector.shutdown();
+
+    assert.strictEqual(serverChecks, 1);
+    assert.strictEqual(stub.connections.length, 1);
+    assert.deepStrictEqual(
+      stub.connections[0].channels.map(channel =>
+        Object.keys(channel.consumers).map(
+          tag => channel.consumers[tag].queueName
+        )
+      ),
+      stub.queues.map(queue => [queue.queueName])
+    );
+  },
+
+  async 'a dropped shared connection is recovered once for every queue'() {
+    const stub = createConnectorStub();
+    const connector = stub.iqc.createConnector();
+    const recorded = recordEvents(
+      connector,
+      CONNECTED_EVENTS.concat('reconnecting')
+    );
+
+    connector.start({ sharedConnection: true, connectionRetryInterval: 1000 });
+    await waitFor(() => recorded.length === 3);
+    stub.connections[0].emit('close', new Error('connection reset'));
+    await waitFor(() => recorded.length === 7, 3000);
+    await connector.shutdown();
+
+    assert.deepStrictEqual(
+      recorded
+        .filter(e => e.name === 'reconnecting')
+        .map(e => [e.data.queue, e.data.attempt]),
+      [['shared', 1]]
+    );
+    assert.strictEqual(stub.connections.length, 2);
+    assert.strictEqual(stub.connections[1].channels.length, 3);
+  },
+
+  async 'without sharedConnection, each queue has its own connection'() {
+    const stub = createConnectorStub();
+    const connector = stub.iqc.createConnector();
+    const recorded = recordEvents(connector, CONNECTED_EVENTS);
+
+    connector.start({});
+    await waitFor(() => recorded.length === 3);
+    await connector.shutdown();
+
+    assert.strictEqual(stub.connections.length, 3);
+    for (let connection of stub.connections) {
+      assert.strictEqual(connection.channels.length, 1);
+    }
+  }
+};
@@ -0,0 +1,146 @@
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const stateStore = require('../lib/state-store');
+
+/**
+ *
+ * @param {Function} test - called with the path of a state file in a new temporary directory
+ * @returns {Promise} resolves once the test passes and the directory is removed
+ */
+async function withStateFile(test) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'iqc-state-'));
+
+  try {
+    await test(path.join(dir, 'state.json'));
+  } finally {
+    for (let file of fs.readdirSync(dir)) {
+      fs.unlinkSync(path.join(dir, file));
+    }
+    fs.rmdirSync(dir);
+  }
+}
+
+module.exports = {
+  'hashFilter does not depend on the order of the filter properties'() {
+    assert.strictEqual(
+      stateStore.hashFilter({ toZone: 'A', epc: 'E2', nested: { a: 1, b: 2 } }),
+      stateStore.hashFilter({ nested: { b: 2, a: 1 }, epc: 'E2', toZone: 'A' })
+    );
+  },
+
+  'hashFilter changes when the filter does, and ignores undefined properties'() {
+    assert.notStrictEqual(
+      stateStore.hashFilter({ toZone: 'A' }),
+      stateStore.hashFilter({ toZone: 'B' })
+    );
+    assert.strictEqual(
+      stateStore.hashFilter({ toZone: 'A', epc: undefined }),
+      stateStore.hashFilter({ toZone: 'A' })
+    );
+    assert.strictEqual(stateStore.hashFilter(null), stateStore.hashFilter({}));
+  },
+
+  'a missing state file loads nothing'() {
+    return withStateFile(async file => {
+      const store = stateStore.createFileStateStore(file);
+
+      assert.strictEqual(await store.load('a'), undefined);
+    });
+  },
+
+  'concurrent saves are all kept, and no temporary file is left behind'() {
+    return withStateFile(async file => {
+      const store = stateStore.createFileStateStore(file);
+
+      await Promise.all([
+        store.save('a', { queueName: 'qa' }),
+        store.save('b', { queueName: 'qb' }),
+        store.save('a', { queueName: 'qa2' })
+      ]);
+
+      assert.deepStrictEqual(await store.load('a'), { queueName: 'qa2' });
+      assert.deepStrictEqual(
+        await stateStore.createFileStateStore(file).load('b'),
+        { queueName: 'qb' }
+      );
+      assert.deepStrictEqual(fs.readdirSync(path.dirname(file)), [
+        'state.json'
+      ]);
+    });
+  },
+
+  'a save that fails does not stop the next save'() {
+    return withStateFile(async file => {
+      const store = stateStore.createFileStateStore(file);
+
+      fs.writeFileSync(file, 'not json');
+      await assert.rejects(store.save('a', 1));
+      fs.unlinkSync(file);
+      await store.save('b', 2);
+
+      assert.strictEqual(await store.load('b'), 2);
+    });
+  },
+
+  'two stores on the same file keep every save'() {
+    return withStateFile(async file => {
+      const dock = stateStore.createFileStateStore(file);
+      const yard = stateStore.createFileStateStore(file);
+
+      let saves = [];
+
+      for (let i = 0; i < 5; i++) {
+        saves.push(dock.save(`dock:${i}`, i), yard.save(`yard:${i}`, i));
+      }
+      await Promise.all(saves);
+
+      const state = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+      assert.strictEqual(Object.keys(state).length, 10);
+      assert.strictEqual(state['dock:4'], 4);
+      assert.strictEqual(state['yard:4'], 4);
+      assert.deepStrictEqual(fs.readdirSync(path.dirname(file)), [
+        'state.json'
+      ]);
+    });
+  },
+
+  'a save waits for the lock another process holds'() {
+    return withStateFile(async file => {
+      const store = stateStore.createFileStateStore(file);
+
+      let saved = false;
+
+      fs.writeFileSync(`${file}.lock`, '');
+
+      const saving = store.save('a', 1).then(() => (saved = true));
+
+      await new Promise(resolve => setTimeout(resolve, 60));
+      assert.strictEqual(saved, false);
+      fs.unlinkSync(`${file}.lock`);
+      await saving;
+
+      assert.strictEqual(await store.load('a'), 1);
+    });
+  },
+
+  'a stale lock is removed'() {
+    return withStateFile(async file => {
+      const store = stateStore.createFileStateStore(file);
+      const lockTime = new Date(Date.now() - 60000);
+
+      fs.writeFileSync(`${file}.lock`, '');
+      fs.utimesSync(`${file}.lock`, lockTime, lockTime);
+      await store.save('a', 1);
+
+      assert.strictEqual(await store.load('a'), 1);
+      assert.deepStrictEqual(fs.readdirSync(path.dirname(file)), [
+        'state.json'
+      ]);
+    });
+  }
+};
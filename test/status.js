@@ -0,0 +1,96 @@
+'use strict';
+
+const assert = require('assert');
+const {
+  createConnectorStub,
+  waitFor,
+  recordEvents,
+  startItemQueue
+} = require('./helpers/connector-stub');
+const { itemMessage } = require('./helpers/messages');
+
+module.exports = {
+  async 'getStatus counts the received, filtered, rejected, and emitted messages of each queue'() {
+    const { stub, connector, queueName } = await startItemQueue(
+      { ignoreAbsent: true },
+      ['invalidMessage']
+    );
+
+    stub.deliver(queueName, itemMessage('E1', 'ABSENT'));
+    stub.deliver(queueName, itemMessage('E2', 'A'));
+    stub.deliver(queueName, 'not json');
+
+    const status = connector.getStatus();
+
+    await connector.shutdown();
+
+    assert.strictEqual(status.started, true);
+    assert.strictEqual(status.queues.item.queueName, queueName);
+    assert.strictEqual(status.queues.item.state, 'connected');
+    assert.ok(!isNaN(Date.parse(status.queues.item.connectedSince)));
+    assert.ok(!isNaN(Date.parse(status.queues.item.lastMessageTime)));
+    assert.strictEqual(status.queues.item.received, 3);
+    assert.strictEqual(status.queues.item.filtered, 1);
+    assert.strictEqual(status.queues.item.rejected, 1);
+    assert.strictEqual(status.queues.item.emitted, 1);
+    assert.strictEqual(status.queues.threshold.state, 'disabled');
+    assert.strictEqual(connector.getStatus().started, false);
+  },
+
+  async 'a failed connection is the last error of its queue, and counts as a reconnect'() {
+    const stub = createConnectorStub();
+    const connector = stub.iqc.createConnector();
+    const recorded = recordEvents(connector, ['reconnecting']);
+
+    stub.failConnects = 1;
+    connector.start({
+      queues: { threshold: { enabled: false }, health: { enabled: false } }
+    });
+    await waitFor(() => recorded.some(e => e.name === 'reconnecting'));
+
+    const status = connector.getStatus();
+
+    await connector.shutdown();
+
+    assert.strictEqual(status.queues.item.state, 'reconnecting');
+    assert.strictEqual(status.queues.item.reconnects, 1);
+    assert.strictEqual(
+      status.queues.item.lastError.message,
+      'connect ECONNREFUSED'
+    );
+  },
+
+  async 'a connection that closes after an error stays reconnecting'() {
+    const { stub, connector, recorded } = await startItemQueue(
+      { connectionRetryInterval: 1000 },
+      ['reconnecting']
+    );
+    const connection = stub.connections[0];
+    const err = new Error('Heartbeat timeout');
+
+    connection.emit('error', err);
+    connection.drop(err);
+
+    const status = connector.getStatus();
+
+    await waitFor(() => stub.connections.length === 2, 3000);
+    await connector.shutdown();
+
+    assert.strictEqual(status.queues.item.state, 'reconnecting');
+    assert.strictEqual(
+      recorded.filter(e => e.name === 'reconnecting').length,
+      1
+    );
+  },
+
+  async 'the status is a snapshot that later messages do not change'() {
+    const { stub, connector, queueName } = await startItemQueue();
+    const status = connector.getStatus();
+
+    stub.deliver(queueName, itemMessage('E1'));
+    await connector.shutdown();
+
+    assert.strictEqual(status.queues.item.received, 0);
+    assert.doesNotThrow(() => JSON.stringify(status));
+  }
+};
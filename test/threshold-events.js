@@ -0,0 +1,213 @@
+'use strict';
+
+const assert = require('assert');
+const thresholdEvents = require('../lib/threshold-events');
+const {
+  createConnectorStub,
+  waitFor,
+  recordEvents
+} = require('./helpers/connector-stub');
+const { time } = require('./helpers/messages');
+
+const { normalizeThresholdMessage, acceptTransition, createThresholdCounter } =
+  thresholdEvents;
+
+/**
+ *
+ * @param {String} threshold - the threshold name
+ * @param {String} direction - IN or OUT
+ * @param {Number} minutes - the observation time, in minutes after a fixed time
+ * @returns {*} a normalized transition
+ */
+function transition(threshold, direction, minutes) {
+  return normalizeThresholdMessage({
+    epc: 'E1',
+    threshold,
+    toZone: direction,
+    observationTime: time(minutes * 60)
+  });
+}
+
+module.exports = {
+  'normalizeThresholdMessage uses toZone, or the opposite of fromZone'() {
+    const message = {
+      epc: 'E1',
+      threshold: 'D1',
+      thresholdId: 3,
+      toZone: 'IN',
+      confidence: 0.9,
+      jobId: 'job1',
+      observationTime: '2026-01-01T00:00:00.000Z'
+    };
+
+    assert.deepStrictEqual(normalizeThresholdMessage(message), {
+      epc: 'E1',
+      threshold: 'D1',
+      thresholdId: 3,
+      direction: 'IN',
+      confidence: 0.9,
+      jobId: 'job1',
+      observationTime: '2026-01-01T00:00:00.000Z'
+    });
+    assert.strictEqual(
+      normalizeThresholdMessage({ epc: 'E1', fromZone: 'IN' }).direction,
+      'OUT'
+    );
+    assert.strictEqual(
+      normalizeThresholdMessage({ epc: 'E1', fromZone: 'OUT' }).direction,
+      'IN'
+    );
+    assert.strictEqual(
+      normalizeThresholdMessage({ epc: 'E1', toZone: 'ABSENT' }),
+      null
+    );
+  },
+
+  'acceptTransition checks minConfidence and the thresholds'() {
+    const options = { minConfidence: 0.5, thresholds: ['D1'] };
+    const accepted = t =>
+      acceptTransition(options, normalizeThresholdMessage(t));
+
+    assert.strictEqual(
+      accepted({ threshold: 'D1', toZone: 'IN', confidence: 0.5 }),
+      true
+    );
+    assert.strictEqual(
+      accepted({ threshold: 'D1', toZone: 'IN', confidence: 0.4 }),
+      false
+    );
+    // a transition without a confidence always passes minConfidence
+    assert.strictEqual(accepted({ threshold: 'D1', toZone: 'IN' }), true);
+    assert.strictEqual(accepted({ threshold: 'D2', toZone: 'IN' }), false);
+    assert.strictEqual(acceptTransition({}, transition('D2', 'OUT', 0)), true);
+  },
+
+  'the counter counts in and out per threshold and per aligned bucket'() {
+    const counter = createThresholdCounter({ bucketInterval: 60000 });
+
+    counter.add(transition('D1', 'IN', 0));
+    counter.add(transition('D1', 'IN', 0.5));
+    counter.add(transition('D1', 'OUT', 1.2));
+    counter.add(transition('D2', 'OUT', 1));
+
+    assert.deepStrictEqual(counter.getCounts(), {
+      D1: {
+        in: 2,
+        out: 1,
+        buckets: [
+          { start: '2026-01-01T00:00:00.000Z', in: 2, out: 0 },
+          { start: '2026-01-01T00:01:00.000Z', in: 0, out: 1 }
+        ]
+      },
+      D2: {
+        in: 0,
+        out: 1,
+        buckets: [{ start: '2026-01-01T00:01:00.000Z', in: 0, out: 1 }]
+      }
+    });
+  },
+
+  'buckets older than the latest observation of any threshold age out'() {
+    const counter = createThresholdCounter({
+      bucketInterval: 60000,
+      buckets: 2
+    });
+
+    counter.add(transition('D1', 'IN', 0));
+    counter.add(transition('D2', 'IN', 1));
+    assert.strictEqual(counter.getCounts().D1.buckets.length, 1);
+
+    counter.add(transition('D2', 'IN', 5));
+
+    const counts = counter.getCounts();
+
+    assert.deepStrictEqual(counts.D1, { in: 1, out: 0, buckets: [] });
+    assert.deepStrictEqual(
+      counts.D2.buckets.map(bucket => bucket.start),
+      ['2026-01-01T00:05:00.000Z']
+    );
+    assert.strictEqual(counts.D2.in, 2);
+  },
+
+  'a threshold keeps at most buckets buckets, and late transitions only count in the totals'() {
+    const counter = createThresholdCounter({
+      bucketInterval: 60000,
+      buckets: 2
+    });
+
+    counter.add(transition('D1', 'IN', 1));
+    counter.add(transition('D1', 'IN', 2));
+    counter.add(transition('D1', 'IN', 0));
+    counter.add(transition('D1', 'OUT', 1.5));
+
+    assert.deepStrictEqual(counter.getCounts().D1, {
+      in: 3,
+      out: 1,
+      buckets: [
+        { start: '2026-01-01T00:01:00.000Z', in: 1, out: 1 },
+        { start: '2026-01-01T00:02:00.000Z', in: 1, out: 0 }
+      ]
+    });
+  },
+
+  'a transition without a valid time only counts in the totals'() {
+    const counter = createThresholdCounter({});
+
+    counter.add({ threshold: 'D1', direction: 'IN', observationTime: 'x' });
+
+    assert.deepStrictEqual(counter.getCounts(), {
+      D1: { in: 1, out: 0, buckets: [] }
+    });
+  },
+
+  async 'the connector emits thresholdIn and thresholdOut, and counts them'() {
+    const stub = createConnectorStub();
+    const connector = stub.iqc.createConnector();
+    const recorded = recordEvents(connector, ['thresholdIn', 'thresholdOut']);
+
+    await connector.start({
+      thresholdEvents: { minConfidence: 0.5 },
+      queues: { item: { enabled: false }, health: { enabled: false } }
+    });
+
+    const queueName = stub.queues[0].queueName;
+
+    stub.deliver(queueName, {
+      epc: 'E1',
+      threshold: 'D1',
+      toZone: 'IN',
+      confidence: 0.9,
+      observationTime: time(0)
+    });
+    stub.deliver(queueName, {
+      epc: 'E1',
+      threshold: 'D1',
+      fromZone: 'IN',
+      toZone: 'OUT',
+      confidence: 0.9,
+      observationTime: time(60)
+    });
+    stub.deliver(queueName, {
+      epc: 'E2',
+      threshold: 'D1',
+      toZone: 'IN',
+      confidence: 0.1,
+      observationTime: time(60)
+    });
+    await waitFor(() => recorded.length === 2);
+
+    const counts = connector.getThresholdCounts();
+
+    await connector.shutdown();
+
+    assert.deepStrictEqual(
+      recorded.map(e => [e.name, e.data.epc]),
+      [
+        ['thresholdIn', 'E1'],
+        ['thresholdOut', 'E1']
+      ]
+    );
+    assert.strictEqual(counts.D1.in, 1);
+    assert.strictEqual(counts.D1.out, 1);
+  }
+};
@@ -0,0 +1,133 @@
+'use strict';
+
+const assert = require('assert');
+const {
+  createConnectorStub,
+  waitFor,
+  startItemQueue
+} = require('./helpers/connector-stub');
+const { itemMessage } = require('./helpers/messages');
+
+module.exports = {
+  async 'tolerance options are applied right away, without touching the queue'() {
+    const { stub, connector, recorded, queueName } = await startItemQueue({}, [
+      'itemQueueMessage',
+      'optionsUpdated'
+    ]);
+
+    const report = connector.updateOptions({ ignoreAbsent: true });
+
+    stub.deliver(queueName, itemMessage('E1', 'ABSENT'));
+    stub.deliver(queueName, itemMessage('E2', 'A'));
+    await connector.shutdown();
+
+    assert.deepStrictEqual(report.changed, ['ignoreAbsent']);
+    assert.deepStrictEqual(report.applied, ['item']);
+    assert.deepStrictEqual(report.replaced, []);
+    assert.strictEqual(report.reconnected, false);
+    assert.deepStrictEqual(
+      recorded.find(e => e.name === 'optionsUpdated').data,
+      report
+    );
+    assert.deepStrictEqual(
+      recorded.filter(e => e.name === 'itemQueueMessage').map(e => e.data.epc),
+      ['E2']
+    );
+    assert.strictEqual(stub.connections.length, 1);
+  },
+
+  async 'a tolerance option is only applied to the queues that use it'() {
+    const stub = createConnectorStub();
+    const connector = stub.iqc.createConnector();
+
+    await connector.start({ queues: { health: { enabled: false } } });
+
+    const ignoreAbsent = connector.updateOptions({ ignoreAbsent: true });
+    const timeDelta = connector.updateOptions({
+      maxObservationTimeDelta: 60000
+    });
+
+    await connector.shutdown();
+
+    assert.deepStrictEqual(ignoreAbsent.applied, ['item']);
+    assert.deepStrictEqual(timeDelta.applied, ['item', 'threshold']);
+  },
+
+  async 'a stateStore change does not reconnect'() {
+    const { stub, connector } = await startItemQueue();
+
+    const report = connector.updateOptions({
+      stateStore: {
+        load: () => undefined,
+        save: () => {}
+      }
+    });
+
+    await connector.shutdown();
+
+    assert.strictEqual(report.reconnected, false);
+    assert.deepStrictEqual(report.applied, []);
+    assert.strictEqual(stub.connections.length, 1);
+  },
+
+  async 'a filter change replaces only the queue it belongs to'() {
+    const { stub, connector, recorded } = await startItemQueue(
+      {
+        itemQueueFilter: { toZone: 'A' },
+        itemSubscriptions: [{ name: 'dock', filter: { toZone: 'DOCK' } }]
+      },
+      ['itemSubscriptionConnected']
+    );
+
+    await waitFor(() =>
+      recorded.some(e => e.name === 'itemSubscriptionConnected')
+    );
+
+    const report = connector.updateOptions({
+      itemQueueFilter: { toZone: 'B' }
+    });
+
+    await waitFor(() => stub.queues.length === 3);
+    await waitFor(() => stub.consumerOf(stub.queues[2].queueName));
+    await connector.shutdown();
+
+    assert.deepStrictEqual(report.replaced, ['item']);
+    assert.deepStrictEqual(stub.queues[2].filter, { toZone: 'B' });
+    assert.strictEqual(stub.consumerOf(stub.queues[0].queueName), undefined);
+    assert.strictEqual(stub.connections.length, 2);
+  },
+
+  async 'a connection option change reconnects, and keeps the queues'() {
+    const { stub, connector, recorded, queueName } = await startItemQueue();
+
+    const report = connector.updateOptions({
+      connectionHeartbeatInterval: 10000
+    });
+
+    await waitFor(() => stub.connections.length === 2);
+    await waitFor(
+      () => recorded.filter(e => e.name === 'itemQueueConnected').length === 2
+    );
+    await connector.shutdown();
+
+    assert.strictEqual(report.reconnected, true);
+    assert.strictEqual(stub.queues.length, 1);
+    assert.strictEqual(stub.connections[0].closed, true);
+    assert.strictEqual(stub.connections[1].args[0].heartbeat, 10);
+    assert.strictEqual(
+      recorded.filter(e => e.name === 'itemQueueConnected')[1].data,
+      queueName
+    );
+  },
+
+  async 'invalid options throw a ValidationError, and change nothing'() {
+    const { connector } = await startItemQueue({ ignoreAbsent: false });
+
+    assert.throws(
+      () => connector.updateOptions({ ignoreAbsent: 'yes', prefetch: -1 }),
+      err => err.name === 'ValidationError' && err.errors.length === 2
+    );
+    assert.strictEqual(connector.options.ignoreAbsent, false);
+    await connector.shutdown();
+  }
+};
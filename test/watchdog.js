@@ -0,0 +1,142 @@
+'use strict';
+
+const assert = require('assert');
+const {
+  createConnectorStub,
+  waitFor,
+  recordEvents,
+  startItemQueue
+} = require('./helpers/connector-stub');
+const { itemMessage } = require('./helpers/messages');
+
+module.exports = {
+  async 'a silent queue is replaced when ItemSense has items it never delivered'() {
+    const { stub, connector, recorded, queueName } = await startItemQueue(
+      {
+        itemQueueFilter: { epc: 'E2', toZone: 'DOCK' },
+        watchdogTimeout: 50
+      },
+      ['queueRecreated']
+    );
+
+    let queries = [];
+
+    stub.requests.showItemHistory = async (options, query) => {
+      queries.push(query);
+      return { history: [{ epc: 'E2001', toZone: 'DOCK' }] };
+    };
+    await waitFor(() => recorded.some(e => e.name === 'queueRecreated'));
+
+    const recreated = recorded.find(e => e.name === 'queueRecreated').data;
+
+    await waitFor(() => stub.consumerOf(recreated.queueName));
+    await connector.shutdown();
+
+    assert.strictEqual(recreated.queue, 'item');
+    assert.strictEqual(recreated.previousQueueName, queueName);
+    assert.strictEqual(recreated.queueName, stub.queues[1].queueName);
+    assert.ok(recreated.silence >= 50);
+    assert.deepStrictEqual(stub.queues[1].filter, {
+      epc: 'E2',
+      toZone: 'DOCK'
+    });
+    assert.strictEqual(stub.consumerOf(queueName), undefined);
+    assert.strictEqual(queries.length, 1);
+    assert.strictEqual(queries[0].epcPrefix, 'E2');
+    assert.strictEqual(queries[0].toZone, 'DOCK');
+    assert.strictEqual(queries[0].zoneTransitionsOnly, true);
+    assert.strictEqual(queries[0].pageSize, 1);
+    assert.ok(!isNaN(Date.parse(queries[0].fromTime)));
+    assert.strictEqual(connector.getStatus().queues.item.recreated, 1);
+  },
+
+  async 'the probe asks for the item history of the whole queue filter'() {
+    const { stub, connector } = await startItemQueue({
+      itemQueueFilter: {
+        fromZone: 'A',
+        toFacility: 'F1',
+        distance: 2,
+        zoneTransitionsOnly: false
+      },
+      watchdogTimeout: 50
+    });
+
+    let query = null;
+
+    stub.requests.showItemHistory = async (options, q) => {
+      query = query || q;
+      return { history: [] };
+    };
+    await waitFor(() => query);
+    await connector.shutdown();
+
+    assert.strictEqual(query.fromZone, 'A');
+    assert.strictEqual(query.toFacility, 'F1');
+    assert.strictEqual(query.minDistanceMoved, 2);
+    assert.strictEqual(query.zoneTransitionsOnly, false);
+    assert.strictEqual(query.pageSize, 1);
+  },
+
+  async 'a silent queue is kept when ItemSense has nothing new for it'() {
+    const { stub, connector, recorded } = await startItemQueue(
+      { watchdogTimeout: 50 },
+      ['queueRecreated']
+    );
+
+    let probes = 0;
+
+    stub.requests.showItemHistory = async () => {
+      probes++;
+      return { history: [] };
+    };
+    await waitFor(() => probes === 2);
+    await connector.shutdown();
+
+    assert.strictEqual(stub.queues.length, 1);
+    assert.ok(!recorded.some(e => e.name === 'queueRecreated'));
+  },
+
+  async 'a queue that delivers messages is not probed'() {
+    const { stub, connector, queueName } = await startItemQueue({
+      watchdogTimeout: 100
+    });
+
+    let probes = 0;
+
+    stub.requests.showItemHistory = async () => {
+      probes++;
+      return { history: [] };
+    };
+    for (let i = 0; i < 6; i++) {
+      stub.deliver(queueName, itemMessage(`E${i}`));
+      await new Promise(resolve => setTimeout(resolve, 40));
+    }
+    await connector.shutdown();
+
+    assert.strictEqual(probes, 0);
+  },
+
+  async 'the threshold queue is probed for threshold transitions'() {
+    const stub = createConnectorStub();
+    const connector = stub.iqc.createConnector();
+    const recorded = recordEvents(connector, [
+      'thresholdQueueConnected',
+      'queueRecreated'
+    ]);
+
+    stub.requests.showThresholdTransitions = async () => ({
+      transitions: [{ epc: 'E1', threshold: 'DOCK_DOOR' }]
+    });
+    connector.start({
+      watchdogTimeout: 50,
+      queues: { item: { enabled: false }, health: { enabled: false } }
+    });
+    await waitFor(() => recorded.some(e => e.name === 'queueRecreated'));
+    await connector.shutdown();
+
+    assert.strictEqual(
+      recorded.find(e => e.name === 'queueRecreated').data.queue,
+      'threshold'
+    );
+  }
+};